@@ -15,6 +15,13 @@ class AlcoholImpactCalculator {
                 this.calculateImpact();
             }
         });
+
+        // Show results in the newly chosen currency
+        window.addEventListener('localechange', () => {
+            if (document.getElementById('results').classList.contains('show')) {
+                this.calculateImpact();
+            }
+        });
     }
 
     /**
@@ -42,11 +49,11 @@ class AlcoholImpactCalculator {
      */
     getInputs() {
         return {
-            drinksPerWeek: parseFloat(document.getElementById('drinksPerWeek').value) || 0,
-            yearsOfDrinking: parseFloat(document.getElementById('yearsOfDrinking').value) || 0,
-            costPerDrink: parseFloat(document.getElementById('costPerDrink').value) || null,
+            drinksPerWeek: parseLocaleNumber(document.getElementById('drinksPerWeek').value) || 0,
+            yearsOfDrinking: parseLocaleNumber(document.getElementById('yearsOfDrinking').value) || 0,
+            costPerDrink: parseLocaleNumber(document.getElementById('costPerDrink').value) || null,
             gender: document.getElementById('gender').value,
-            bodyWeight: parseFloat(document.getElementById('bodyWeight').value) || null
+            bodyWeight: parseLocaleNumber(document.getElementById('bodyWeight').value) || null
         };
     }
 
@@ -466,13 +473,13 @@ class AlcoholImpactCalculator {
         // Financial Impact (only if cost provided)
         const financialSection = document.getElementById('financial-section');
         if (results.financial) {
-            document.getElementById('totalCost').textContent = `$${results.financial.totalCost.toLocaleString()}`;
+            document.getElementById('totalCost').textContent = formatCurrency(results.financial.totalCost);
             document.getElementById('totalCost').className = 'result-value';
             
-            document.getElementById('investmentValue').textContent = `$${results.financial.investmentValue.toLocaleString()}`;
+            document.getElementById('investmentValue').textContent = formatCurrency(results.financial.investmentValue);
             document.getElementById('investmentValue').className = 'result-value';
             
-            document.getElementById('opportunityCost').textContent = `$${results.financial.opportunityCost.toLocaleString()} lost`;
+            document.getElementById('opportunityCost').textContent = `${formatCurrency(results.financial.opportunityCost)} lost`;
             document.getElementById('opportunityCost').className = 'result-value high-risk';
             
             financialSection.classList.remove('hidden');
@@ -481,7 +488,7 @@ class AlcoholImpactCalculator {
         }
         
         // Health Metrics
-        document.getElementById('totalCalories').textContent = `${results.health.totalCalories.toLocaleString()} calories`;
+        document.getElementById('totalCalories').textContent = `${formatNumber(results.health.totalCalories)} calories`;
         document.getElementById('totalCalories').className = 'result-value';
         
         document.getElementById('weightGain').textContent = `${results.health.potentialWeightGain.toFixed(1)} lbs potential`;
@@ -508,7 +515,7 @@ class AlcoholImpactCalculator {
         document.getElementById('recoveryBenefit').className = 'result-value low-risk';
         
         if (results.recovery.annualSavings) {
-            document.getElementById('annualSavings').textContent = `$${results.recovery.annualSavings.toLocaleString()}/year`;
+            document.getElementById('annualSavings').textContent = `${formatCurrency(results.recovery.annualSavings)}/year`;
             document.getElementById('annualSavings').className = 'result-value low-risk';
         } else {
             document.getElementById('annualSavings').textContent = 'Enter cost per drink to calculate';
@@ -723,7 +730,7 @@ class AlcoholImpactCalculator {
                         beginAtZero: true,
                         ticks: {
                             callback: function(value) {
-                                return '$' + value.toLocaleString();
+                                return formatCurrency(value);
                             }
                         },
                         grid: {
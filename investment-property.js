@@ -0,0 +1,267 @@
+/**
+ * Investment Property Analyzer
+ * Rental property returns and pro forma, built on the financing and ownership-cost ledger from rent-vs-buy-engine.js
+ */
+
+function calculateIrr(cashFlows) {
+    // Rate at which the cash flows' present value is zero, found by bisection
+    const presentValue = (rate) => cashFlows.reduce((sum, cashFlow, year) => sum + cashFlow / Math.pow(1 + rate, year), 0);
+    let lower = -0.99;
+    let upper = 10;
+    if (presentValue(lower) * presentValue(upper) > 0) {
+        return null;
+    }
+
+    for (let i = 0; i < 200; i++) {
+        const middle = (lower + upper) / 2;
+        if (presentValue(lower) * presentValue(middle) <= 0) {
+            upper = middle;
+        } else {
+            lower = middle;
+        }
+    }
+
+    return (lower + upper) / 2 * 100;
+}
+
+function analyzePropertyInvestment(inputs) {
+    const { purchasePrice, downPayment, interestRate, mortgageTerm, closingCosts, grossRent, rentGrowth, vacancyRate,
+            propertyTaxRate, homeInsurance, maintenanceRate, managementFee, capexReserve, otherExpenses, expenseGrowth,
+            homeAppreciation, holdingPeriod, sellingCosts, landValue, marginalTaxRate, capitalGainsTaxRate } = inputs;
+
+    const loanAmount = purchasePrice - downPayment;
+    const totalClosingCosts = purchasePrice * (closingCosts / 100);
+    const cashInvested = downPayment + totalClosingCosts;
+
+    // Financing, property tax, insurance and maintenance come from the same ledger the rent vs buy model uses
+    const schedule = buildAmortizationSchedule(purchasePrice, downPayment, interestRate, mortgageTerm, homeAppreciation,
+                                               Math.max(mortgageTerm, holdingPeriod) * 12, {
+        propertyTax: purchasePrice * (propertyTaxRate / 100) / 12,
+        homeInsurance: homeInsurance / 12,
+        hoaFees: otherExpenses,
+        maintenance: purchasePrice * (maintenanceRate / 100) / 12
+    }, {
+        propertyTax: homeAppreciation,
+        homeInsurance: expenseGrowth,
+        hoaFees: expenseGrowth,
+        maintenance: expenseGrowth
+    }, { monthlyAmount: 0 });
+    const ledger = summarizeScheduleByYear(schedule).slice(0, holdingPeriod);
+
+    // Only the building wears out, and closing costs join its basis
+    const depreciableBasis = (purchasePrice + totalClosingCosts) * (1 - landValue / 100);
+    const annualDepreciation = depreciableBasis / DEPRECIATION_YEARS;
+
+    const years = [];
+    let suspendedLosses = 0;
+    let totalDepreciation = 0;
+
+    ledger.forEach(ledgerYear => {
+        const year = ledgerYear.year;
+        const grossIncome = grossRent * 12 * Math.pow(1 + rentGrowth / 100, year - 1);
+        const vacancy = grossIncome * (vacancyRate / 100);
+        const effectiveIncome = grossIncome - vacancy;
+        const management = effectiveIncome * (managementFee / 100);
+        const capex = grossIncome * (capexReserve / 100);
+        const operatingExpenses = ledgerYear.propertyTax + ledgerYear.homeInsurance + ledgerYear.hoaFees +
+                                  ledgerYear.maintenance + management + capex;
+        const noi = effectiveIncome - operatingExpenses;
+        const debtService = ledgerYear.payment;
+        const cashFlow = noi - debtService;
+
+        // Rental losses can't offset wages; they carry forward against later rental income and the sale
+        const depreciation = Math.min(annualDepreciation, depreciableBasis - totalDepreciation);
+        totalDepreciation += depreciation;
+        let taxableIncome = noi - ledgerYear.interest - depreciation;
+        if (taxableIncome < 0) {
+            suspendedLosses -= taxableIncome;
+            taxableIncome = 0;
+        } else {
+            const lossesUsed = Math.min(taxableIncome, suspendedLosses);
+            suspendedLosses -= lossesUsed;
+            taxableIncome -= lossesUsed;
+        }
+        const incomeTax = taxableIncome * (marginalTaxRate / 100);
+
+        years.push({
+            year: year,
+            grossIncome: grossIncome,
+            vacancy: vacancy,
+            operatingExpenses: operatingExpenses,
+            noi: noi,
+            debtService: debtService,
+            cashFlow: cashFlow,
+            depreciation: depreciation,
+            incomeTax: incomeTax,
+            afterTaxCashFlow: cashFlow - incomeTax,
+            balance: ledgerYear.balance
+        });
+    });
+
+    // Sale at the end of the holding period: recapture on depreciation, capital gains on the rest,
+    // and any suspended losses finally deducted
+    const salePrice = calculateHomeValue(purchasePrice, homeAppreciation, holdingPeriod);
+    const saleCosts = salePrice * (sellingCosts / 100);
+    const loanPayoff = years[years.length - 1].balance;
+    const adjustedBasis = purchasePrice + totalClosingCosts - totalDepreciation;
+    const totalGain = salePrice - saleCosts - adjustedBasis;
+    const recapturedGain = Math.max(0, Math.min(totalDepreciation, totalGain));
+    const capitalGain = Math.max(0, totalGain - recapturedGain);
+    const saleTax = recapturedGain * (Math.min(marginalTaxRate, DEPRECIATION_RECAPTURE_RATE) / 100) +
+                    capitalGain * (capitalGainsTaxRate / 100) -
+                    suspendedLosses * (marginalTaxRate / 100);
+    const saleProceeds = salePrice - saleCosts - loanPayoff - saleTax;
+
+    const cashFlows = [-cashInvested].concat(years.map(year => year.afterTaxCashFlow));
+    cashFlows[holdingPeriod] += saleProceeds;
+
+    const firstYear = years[0];
+    return {
+        loanAmount: loanAmount,
+        cashInvested: cashInvested,
+        annualDepreciation: annualDepreciation,
+        noi: firstYear.noi,
+        capRate: firstYear.noi / purchasePrice * 100,
+        cashOnCash: firstYear.cashFlow / cashInvested * 100,
+        dscr: firstYear.debtService > 0 ? firstYear.noi / firstYear.debtService : null,
+        irr: calculateIrr(cashFlows),
+        salePrice: salePrice,
+        saleCosts: saleCosts,
+        loanPayoff: loanPayoff,
+        saleTax: saleTax,
+        saleProceeds: saleProceeds,
+        totalProfit: cashFlows.reduce((sum, cashFlow) => sum + cashFlow, 0),
+        years: years
+    };
+}
+
+function readPropertyInputs() {
+    const numberValue = (id) => parseLocaleNumber(document.getElementById(id).value) || 0;
+    const ids = ['purchasePrice', 'downPayment', 'interestRate', 'mortgageTerm', 'closingCosts', 'grossRent', 'rentGrowth',
+                 'vacancyRate', 'propertyTaxRate', 'homeInsurance', 'maintenanceRate', 'managementFee', 'capexReserve',
+                 'otherExpenses', 'expenseGrowth', 'homeAppreciation', 'holdingPeriod', 'sellingCosts', 'landValue',
+                 'marginalTaxRate', 'capitalGainsTaxRate'];
+
+    const inputs = {};
+    ids.forEach(id => {
+        inputs[id] = numberValue(id);
+    });
+    inputs.mortgageTerm = Math.round(inputs.mortgageTerm);
+    inputs.holdingPeriod = Math.round(inputs.holdingPeriod);
+    return inputs;
+}
+
+function formatPercent(value) {
+    return value === null ? 'n/a' : value.toFixed(2) + '%';
+}
+
+function renderProForma(analysis) {
+    const rows = analysis.years.map(year => `
+                <tr>
+                    <td>${year.year}</td>
+                    <td>${formatCurrency(year.grossIncome)}</td>
+                    <td>${formatCurrency(year.vacancy)}</td>
+                    <td>${formatCurrency(year.operatingExpenses)}</td>
+                    <td>${formatCurrency(year.noi)}</td>
+                    <td>${formatCurrency(year.debtService)}</td>
+                    <td>${formatCurrency(year.cashFlow)}</td>
+                    <td>${formatCurrency(year.depreciation)}</td>
+                    <td>${formatCurrency(year.incomeTax)}</td>
+                    <td>${formatCurrency(year.afterTaxCashFlow)}</td>
+                </tr>`).join('');
+
+    return `
+        <div class="schedule-table-wrapper">
+            <table class="schedule-table">
+                <thead>
+                    <tr>
+                        <th>Year</th>
+                        <th>Gross Rent</th>
+                        <th>Vacancy</th>
+                        <th>Expenses</th>
+                        <th>NOI</th>
+                        <th>Debt Service</th>
+                        <th>Cash Flow</th>
+                        <th>Depreciation</th>
+                        <th>Tax</th>
+                        <th>After Tax</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function analyzeProperty() {
+    const inputs = readPropertyInputs();
+
+    // Validate inputs
+    if (inputs.downPayment > inputs.purchasePrice) {
+        alert('Down payment cannot be greater than the purchase price');
+        return;
+    }
+    if (inputs.purchasePrice <= 0 || inputs.mortgageTerm < 1 || inputs.holdingPeriod < 1) {
+        alert('Enter a purchase price, and a loan term and holding period of at least one year');
+        return;
+    }
+
+    const analysis = analyzePropertyInvestment(inputs);
+    const cashFlowPositive = analysis.years[0].cashFlow >= 0;
+
+    const resultsHTML = `
+        <div class="cost-comparison">
+            <div class="cost-item">
+                <h4>Year 1 Cash Flow</h4>
+                <div class="cost-amount ${cashFlowPositive ? 'savings' : ''}">${formatCurrency(analysis.years[0].cashFlow / 12)}</div>
+                <p>per month, before tax</p>
+            </div>
+            <div class="cost-item">
+                <h4>IRR</h4>
+                <div class="cost-amount">${formatPercent(analysis.irr)}</div>
+                <p>after tax, over ${inputs.holdingPeriod} years including the sale</p>
+            </div>
+        </div>
+
+        <div class="result-item">
+            <h3>Year 1 Returns</h3>
+            <p><strong>Net Operating Income (NOI):</strong> ${formatCurrency(analysis.noi)}</p>
+            <p><strong>Cap Rate:</strong> ${formatPercent(analysis.capRate)}</p>
+            <p><strong>Cash-on-Cash Return:</strong> ${formatPercent(analysis.cashOnCash)}</p>
+            <p><strong>Debt Service Coverage (DSCR):</strong> ${analysis.dscr === null ? 'No loan' : analysis.dscr.toFixed(2)}</p>
+            <small>Lenders usually look for a DSCR of at least 1.25</small>
+        </div>
+
+        <div class="result-item">
+            <h3>Investment</h3>
+            <p><strong>Cash Invested:</strong> ${formatCurrency(analysis.cashInvested)} (down payment and closing costs)</p>
+            <p><strong>Loan Amount:</strong> ${formatCurrency(analysis.loanAmount)}</p>
+            <p><strong>Yearly Depreciation:</strong> ${formatCurrency(analysis.annualDepreciation)}</p>
+        </div>
+
+        <div class="result-item">
+            <h3>Sale After ${inputs.holdingPeriod} Years</h3>
+            <p><strong>Sale Price:</strong> ${formatCurrency(analysis.salePrice)}</p>
+            <p><strong>Selling Costs:</strong> ${formatCurrency(analysis.saleCosts)}</p>
+            <p><strong>Loan Payoff:</strong> ${formatCurrency(analysis.loanPayoff)}</p>
+            <p><strong>Tax on Sale:</strong> ${formatCurrency(analysis.saleTax)} (depreciation recapture and capital gains, less carried-forward losses)</p>
+            <p><strong>Net Sale Proceeds:</strong> ${formatCurrency(analysis.saleProceeds)}</p>
+            <p><strong>Total Profit:</strong> ${formatCurrency(analysis.totalProfit)}</p>
+        </div>
+
+        <div class="result-item">
+            <h3>Pro Forma</h3>
+            ${renderProForma(analysis)}
+        </div>
+    `;
+
+    document.getElementById('results').innerHTML = resultsHTML;
+}
+
+// Show results in the newly chosen currency
+window.addEventListener('localechange', function() {
+    if (document.querySelector('#results .cost-comparison')) {
+        analyzeProperty();
+    }
+});
@@ -0,0 +1,177 @@
+/**
+ * Locale Settings
+ * One locale and currency for every calculator: saved in localStorage, carried in links as ?lc=,
+ * and followed by formatCurrency, chart axes and number parsing
+ */
+
+// Each locale sets both how numbers are written and which currency amounts are in
+const LOCALES = {
+    'en-US': { label: 'United States (USD)', currency: 'USD' },
+    'en-CA': { label: 'Canada - English (CAD)', currency: 'CAD' },
+    'fr-CA': { label: 'Canada - français (CAD)', currency: 'CAD' },
+    'en-GB': { label: 'United Kingdom (GBP)', currency: 'GBP' },
+    'en-IE': { label: 'Ireland (EUR)', currency: 'EUR' },
+    'de-DE': { label: 'Deutschland (EUR)', currency: 'EUR' },
+    'en-AU': { label: 'Australia (AUD)', currency: 'AUD' }
+};
+
+const DEFAULT_LOCALE = 'en-US';
+const LOCALE_STORAGE_KEY = 'calculatorLocale';
+const LOCALE_URL_PARAM = 'lc';
+
+let currentLocale = DEFAULT_LOCALE;
+
+function getLocale() {
+    return currentLocale;
+}
+
+function getCurrency() {
+    return LOCALES[currentLocale].currency;
+}
+
+// Building a formatter is far slower than using one, and tables format hundreds of amounts
+const numberFormats = {};
+
+function getNumberFormat(options) {
+    const key = currentLocale + JSON.stringify(options);
+    if (!numberFormats[key]) {
+        numberFormats[key] = new Intl.NumberFormat(currentLocale, options);
+    }
+    return numberFormats[key];
+}
+
+function formatCurrency(amount) {
+    return getNumberFormat({
+        style: 'currency',
+        currency: getCurrency(),
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+    }).format(amount);
+}
+
+function formatNumber(value, maximumFractionDigits = 0) {
+    return getNumberFormat({ maximumFractionDigits: maximumFractionDigits }).format(value);
+}
+
+function getNumberPart(type, options) {
+    const part = new Intl.NumberFormat(currentLocale, options).formatToParts(1234.5).find(part => part.type === type);
+    return part ? part.value : '';
+}
+
+function getCurrencySymbol() {
+    return getNumberPart('currency', { style: 'currency', currency: getCurrency() });
+}
+
+function getDecimalSeparator() {
+    return getNumberPart('decimal');
+}
+
+function parseLocaleNumber(text) {
+    // Plain "1234.5" (number inputs, page defaults) reads the same way everywhere; anything else is read with the
+    // locale's separators, so "3,5" is 3.5 in fr-CA and "1.234,5" is 1234.5 in de-DE. With a decimal comma a
+    // single dot before exactly three digits groups thousands, so "450.000" is 450000.
+    const value = String(text).trim();
+    const decimalComma = getDecimalSeparator() === ',';
+    if (/^-?(\d+\.?\d*|\.\d+)$/.test(value) && !(decimalComma && /^-?[1-9]\d{0,2}\.\d{3}$/.test(value))) {
+        return parseFloat(value);
+    }
+
+    const digits = value.replace(/\s/g, '');
+    if (decimalComma) {
+        return parseFloat(digits.replace(/\./g, '').replace(',', '.'));
+    }
+    return parseFloat(digits.replace(/,/g, ''));
+}
+
+function toLocaleInputText(value) {
+    // A plain number as it would be typed in the current locale, so parseLocaleNumber reads it back unchanged
+    const text = String(value);
+    return /^-?\d*\.?\d+$/.test(text) ? text.replace('.', getDecimalSeparator()) : text;
+}
+
+function readStoredLocale() {
+    try {
+        return localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        console.error('Could not read the saved locale:', error);
+        return null;
+    }
+}
+
+function setLocale(locale) {
+    currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+}
+
+function applyLocaleToPage() {
+    const select = document.getElementById('locale');
+    if (select) {
+        select.value = currentLocale;
+    }
+
+    document.querySelectorAll('.currency-symbol').forEach(symbol => {
+        symbol.textContent = getCurrencySymbol();
+    });
+
+    // Number inputs only take a decimal point, so with a decimal comma they become text inputs read by parseLocaleNumber
+    const useTextInputs = getDecimalSeparator() !== '.';
+    document.querySelectorAll('input[type="number"], input[data-number-input]').forEach(input => {
+        input.setAttribute('data-number-input', '');
+        if (useTextInputs && input.type === 'number') {
+            input.type = 'text';
+            input.inputMode = 'decimal';
+            input.value = toLocaleInputText(input.value);
+        } else if (!useTextInputs && input.type === 'text') {
+            input.type = 'number';
+        }
+    });
+
+    // Axis ticks and tooltips call formatCurrency, so a redraw picks up the new currency
+    if (typeof Chart !== 'undefined') {
+        Object.values(Chart.instances).forEach(chart => chart.update());
+    }
+}
+
+function changeLocale(locale) {
+    // Values typed for the old locale are rewritten as plain numbers, which read the same in every locale
+    document.querySelectorAll('input[data-number-input]').forEach(input => {
+        if (input.type === 'text' && input.value !== '') {
+            input.value = String(parseLocaleNumber(input.value));
+        }
+    });
+
+    setLocale(locale);
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, currentLocale);
+    } catch (error) {
+        console.error('Could not save the locale:', error);
+    }
+
+    const url = new URL(window.location.href);
+    if (currentLocale === DEFAULT_LOCALE) {
+        url.searchParams.delete(LOCALE_URL_PARAM);
+    } else {
+        url.searchParams.set(LOCALE_URL_PARAM, currentLocale);
+    }
+    history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+    applyLocaleToPage();
+
+    // Each calculator re-renders its results in the new currency
+    window.dispatchEvent(new Event('localechange'));
+}
+
+function renderLocaleOptions() {
+    const select = document.getElementById('locale');
+    if (!select) return;
+
+    select.innerHTML = Object.keys(LOCALES).map(locale =>
+        `<option value="${locale}">${LOCALES[locale].label}</option>`).join('');
+}
+
+// A link's locale wins over the saved one
+setLocale(new URLSearchParams(window.location.search).get(LOCALE_URL_PARAM) || readStoredLocale() || DEFAULT_LOCALE);
+
+document.addEventListener('DOMContentLoaded', function() {
+    renderLocaleOptions();
+    applyLocaleToPage();
+});
@@ -0,0 +1,17 @@
+/**
+ * Options Panels
+ * Show/hide for the collapsible "SHOW OPTIONS" panels on every calculator page
+ */
+
+function toggleOptions(optionsId) {
+    const options = document.getElementById(optionsId);
+    const toggleText = document.getElementById(optionsId.replace('-options', '-toggle-text'));
+
+    if (options.classList.contains('show')) {
+        options.classList.remove('show');
+        toggleText.textContent = 'SHOW OPTIONS';
+    } else {
+        options.classList.add('show');
+        toggleText.textContent = 'HIDE OPTIONS';
+    }
+}
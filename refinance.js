@@ -0,0 +1,240 @@
+/**
+ * Refinancing Calculator
+ * Compares keeping the current mortgage with replacing it, using the amortization logic from rent-vs-buy-engine.js
+ */
+
+let refinanceBalanceChart = null;
+
+function buildLoanSchedule(principal, rate, years) {
+    // A plain loan is a home bought with nothing down and no ownership costs
+    return buildAmortizationSchedule(principal, 0, rate, years, 0, Math.round(years * 12), {}, {}, { monthlyAmount: 0 });
+}
+
+function calculateRefinanceResults(inputs) {
+    const { currentBalance, currentRate, remainingTerm, newRate, newTerm, points, closingCosts, cashOut, financeCosts } = inputs;
+
+    // Points are priced on the new loan, which itself grows if the costs are rolled in
+    const baseLoan = currentBalance + cashOut;
+    const newLoan = financeCosts ? (baseLoan + closingCosts) / (1 - points / 100) : baseLoan;
+    const pointsCost = newLoan * (points / 100);
+    const upfrontCosts = financeCosts ? 0 : pointsCost + closingCosts;
+
+    const currentPayment = calculateMortgagePayment(currentBalance, currentRate, remainingTerm);
+    const newPayment = calculateMortgagePayment(newLoan, newRate, newTerm);
+    const currentSchedule = buildLoanSchedule(currentBalance, currentRate, remainingTerm);
+    const newSchedule = buildLoanSchedule(newLoan, newRate, newTerm);
+
+    // Break-even counts the payments saved and the difference in what is still owed, net of the cash taken out,
+    // so a longer term can't look like savings just by pushing the balance further out
+    const months = Math.max(currentSchedule.length, newSchedule.length);
+    let cumulativeSavings = 0;
+    let breakEvenMonth = null;
+    for (let month = 0; month < months; month++) {
+        const current = currentSchedule[month];
+        const refinanced = newSchedule[month];
+        cumulativeSavings += (current ? current.payment : 0) - (refinanced ? refinanced.payment : 0);
+
+        const currentOwed = current ? current.balance : 0;
+        const newOwed = refinanced ? refinanced.balance : 0;
+        const advantage = cumulativeSavings - upfrontCosts + (currentOwed - newOwed) + cashOut;
+        if (breakEvenMonth === null && advantage >= 0) {
+            breakEvenMonth = month + 1;
+        }
+    }
+
+    const sumInterest = (schedule) => schedule.reduce((sum, row) => sum + row.interest, 0);
+    const currentInterest = sumInterest(currentSchedule);
+    const newInterest = sumInterest(newSchedule);
+
+    return {
+        newLoan: newLoan,
+        pointsCost: pointsCost,
+        upfrontCosts: upfrontCosts,
+        currentPayment: currentPayment,
+        newPayment: newPayment,
+        monthlySavings: currentPayment - newPayment,
+        simpleBreakEvenMonth: currentPayment > newPayment && upfrontCosts > 0 ? Math.ceil(upfrontCosts / (currentPayment - newPayment)) : null,
+        breakEvenMonth: breakEvenMonth,
+        currentInterest: currentInterest,
+        newInterest: newInterest,
+        // Points are prepaid interest, so they count against the new loan
+        interestDifference: currentInterest - (newInterest + pointsCost),
+        currentSchedule: currentSchedule,
+        newSchedule: newSchedule
+    };
+}
+
+function readRefinanceInputs() {
+    const numberValue = (id) => parseLocaleNumber(document.getElementById(id).value) || 0;
+
+    return {
+        currentBalance: numberValue('currentBalance'),
+        currentRate: numberValue('currentRate'),
+        remainingTerm: numberValue('remainingTerm'),
+        newRate: numberValue('newRate'),
+        newTerm: numberValue('newTerm'),
+        points: numberValue('points'),
+        closingCosts: numberValue('refinanceClosingCosts'),
+        cashOut: numberValue('cashOut'),
+        financeCosts: document.getElementById('financeCosts').checked
+    };
+}
+
+function describeMonth(month) {
+    const years = Math.floor((month - 1) / 12);
+    return `month ${month} (year ${years + 1})`;
+}
+
+function calculateRefinance() {
+    const inputs = readRefinanceInputs();
+
+    // Validate inputs
+    if (inputs.currentBalance <= 0 || inputs.remainingTerm < 1 || inputs.newTerm < 1) {
+        alert('Enter a current balance and loan terms of at least one year');
+        return;
+    }
+
+    const results = calculateRefinanceResults(inputs);
+    const isSaving = results.monthlySavings > 0;
+    const paysOff = results.breakEvenMonth !== null;
+
+    const resultsHTML = `
+        <div class="cost-comparison">
+            <div class="cost-item">
+                <h4>Current Payment</h4>
+                <div class="cost-amount">${formatCurrency(results.currentPayment)}</div>
+                <p>${formatNumber(inputs.currentRate, 3)}% for ${formatNumber(inputs.remainingTerm, 3)} more years</p>
+            </div>
+            <div class="cost-item">
+                <h4>New Payment</h4>
+                <div class="cost-amount ${isSaving ? 'savings' : ''}">${formatCurrency(results.newPayment)}</div>
+                <p>${formatNumber(inputs.newRate, 3)}% for ${formatNumber(inputs.newTerm, 3)} years</p>
+            </div>
+        </div>
+
+        <div class="break-even">
+            <h3>${paysOff ? '🔄 Refinancing Pays Off' : '🔄 Refinancing Doesn\'t Pay Off'}</h3>
+            <p><strong>${paysOff ?
+                `You come out ahead from ${describeMonth(results.breakEvenMonth)} onward` :
+                'The new loan never makes up for its costs'}</strong></p>
+        </div>
+
+        <div class="result-item">
+            <h3>Payments</h3>
+            <p><strong>Monthly ${isSaving ? 'Savings' : 'Increase'}:</strong> ${formatCurrency(Math.abs(results.monthlySavings))}</p>
+            <p><strong>New Loan Amount:</strong> ${formatCurrency(results.newLoan)}${inputs.cashOut > 0 ? `, including ${formatCurrency(inputs.cashOut)} cash out` : ''}</p>
+            <p><strong>Points:</strong> ${formatCurrency(results.pointsCost)}</p>
+            <p><strong>Paid Up Front:</strong> ${formatCurrency(results.upfrontCosts)}${inputs.financeCosts ? ' (costs rolled into the loan)' : ''}</p>
+        </div>
+
+        <div class="result-item">
+            <h3>Break-Even</h3>
+            <p><strong>Costs Recovered From Payment Savings:</strong> ${results.simpleBreakEvenMonth !== null ? describeMonth(results.simpleBreakEvenMonth) : 'Not applicable'}</p>
+            <p><strong>Ahead Counting What You Still Owe:</strong> ${paysOff ? describeMonth(results.breakEvenMonth) : 'Never'}</p>
+            <small>The second figure also counts the difference in loan balances, so a longer term or a cash-out can't look like savings</small>
+        </div>
+
+        <div class="result-item">
+            <h3>Lifetime Interest</h3>
+            <p><strong>Current Loan:</strong> ${formatCurrency(results.currentInterest)}</p>
+            <p><strong>New Loan (including points):</strong> ${formatCurrency(results.newInterest + results.pointsCost)}</p>
+            <p><strong>Difference:</strong> ${formatCurrency(Math.abs(results.interestDifference))} ${results.interestDifference >= 0 ? 'less' : 'more'} interest by refinancing</p>
+        </div>
+    `;
+
+    document.getElementById('results').innerHTML = resultsHTML;
+
+    createRefinanceBalanceChart(results);
+}
+
+function createRefinanceBalanceChart(results) {
+    const ctx = document.getElementById('refinanceBalanceChart').getContext('2d');
+
+    // Destroy existing chart if it exists
+    if (refinanceBalanceChart) {
+        refinanceBalanceChart.destroy();
+    }
+
+    // Year-end balances, with a paid-off loan staying at zero
+    const years = Math.ceil(Math.max(results.currentSchedule.length, results.newSchedule.length) / 12);
+    const yearEndBalance = (schedule, year) => {
+        if (year === 0) {
+            return schedule[0].balance + schedule[0].principal;
+        }
+        const row = schedule[Math.min(year * 12, schedule.length) - 1];
+        return year * 12 <= schedule.length ? row.balance : 0;
+    };
+    const labels = Array.from({ length: years + 1 }, (value, year) => year);
+
+    refinanceBalanceChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'Keep Current Loan',
+                data: labels.map(year => yearEndBalance(results.currentSchedule, year)),
+                borderColor: '#2563eb',
+                backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                borderWidth: 3,
+                fill: false,
+                tension: 0.1,
+                pointRadius: 3
+            }, {
+                label: 'Refinance',
+                data: labels.map(year => yearEndBalance(results.newSchedule, year)),
+                borderColor: '#16a34a',
+                backgroundColor: 'rgba(22, 163, 74, 0.1)',
+                borderWidth: 3,
+                fill: false,
+                tension: 0.1,
+                pointRadius: 3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Remaining Balance'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Years'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Show results in the newly chosen currency
+window.addEventListener('localechange', function() {
+    if (document.querySelector('#results .cost-comparison')) {
+        calculateRefinance();
+    }
+});
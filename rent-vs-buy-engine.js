@@ -0,0 +1,1326 @@
+/**
+ * Rent vs Buy Engine
+ * The rent vs buy model with no page access: one inputs object in, a structured result with yearly series out.
+ * Loaded as a plain script by the calculator pages and worker, or with require() from Node.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node scripts don't share globals, so the tax module's functions are brought in by name.
+    // In the browser rent-vs-buy-tax.js is loaded first and these declarations leave its functions alone.
+    var { getStandardDeduction, getTaxBrackets, getMarginalRate, calculateHomeTaxBenefit } = require('./rent-vs-buy-tax.js');
+}
+
+function calculateMortgagePayment(principal, rate, years) {
+    const monthlyRate = rate / 100 / 12;
+    const numPayments = years * 12;
+    
+    if (monthlyRate === 0) {
+        return principal / numPayments;
+    }
+    
+    const monthlyPayment = principal * 
+        (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
+        (Math.pow(1 + monthlyRate, numPayments) - 1);
+    
+    return monthlyPayment;
+}
+
+// Adjustable-rate products: years at the initial rate, then months between resets
+const ARM_PRODUCTS = {
+    '5/1': { fixedYears: 5, resetMonths: 12 },
+    '7/1': { fixedYears: 7, resetMonths: 12 },
+    '10/6': { fixedYears: 10, resetMonths: 6 }
+};
+
+function getArmIndex(arm, year) {
+    // Assumed index rate during the given year (1-based) of the loan
+    if (arm.indexPath === 'rising') {
+        return arm.indexRate + arm.indexRise * (year - 1);
+    }
+    if (arm.indexPath === 'custom') {
+        const values = (arm.indexValues || '').split(',').map(value => parseFloat(value)).filter(value => !isNaN(value));
+        if (values.length > 0) {
+            return values[Math.min(year, values.length) - 1];
+        }
+    }
+    return arm.indexRate;
+}
+
+function buildRateSchedule(interestRate, mortgageTerm, arm) {
+    // Note rate for every month of the loan. Each reset moves toward index + margin, limited by the caps.
+    const termMonths = mortgageTerm * 12;
+    const product = arm && ARM_PRODUCTS[arm.loanType];
+    const rates = [];
+    let rate = interestRate;
+    let resets = 0;
+    
+    for (let month = 1; month <= termMonths; month++) {
+        const monthsAdjustable = product ? month - 1 - product.fixedYears * 12 : -1;
+        if (monthsAdjustable >= 0 && monthsAdjustable % product.resetMonths === 0) {
+            const fullyIndexed = getArmIndex(arm, Math.ceil(month / 12)) + arm.margin;
+            const cap = resets === 0 ? arm.initialCap : arm.periodicCap;
+            rate = Math.min(Math.max(fullyIndexed, rate - cap, arm.margin), rate + cap, interestRate + arm.lifetimeCap);
+            resets++;
+        }
+        rates.push(rate);
+    }
+    
+    return rates;
+}
+
+// Typical annual PMI premiums (% of the original loan) by credit score tier and loan-to-value band
+const PMI_RATE_TABLE = {
+    //      LTV: >95%  >90%  >85%  >80%
+    '760': [0.58, 0.38, 0.28, 0.19],
+    '740': [0.70, 0.46, 0.34, 0.22],
+    '720': [0.87, 0.55, 0.40, 0.26],
+    '700': [1.03, 0.65, 0.47, 0.30],
+    '680': [1.21, 0.78, 0.56, 0.35],
+    '660': [1.54, 1.00, 0.71, 0.44],
+    '640': [1.86, 1.23, 0.86, 0.53],
+    '620': [1.97, 1.32, 0.92, 0.56]
+};
+
+// PMI ends automatically at 78% of the original value, or on request at 80% of the current value
+const PMI_AUTOMATIC_CANCEL_LTV = 0.78;
+const PMI_REQUESTED_CANCEL_LTV = 0.80;
+
+function getPmiRate(loanToValue, creditScore) {
+    if (loanToValue <= PMI_REQUESTED_CANCEL_LTV) {
+        return 0;
+    }
+    
+    const rates = PMI_RATE_TABLE[creditScore] || PMI_RATE_TABLE['740'];
+    if (loanToValue > 0.95) return rates[0];
+    if (loanToValue > 0.90) return rates[1];
+    if (loanToValue > 0.85) return rates[2];
+    return rates[3];
+}
+
+function parseLumpSums(text) {
+    // "24:10000, 60:5000" -> one-time payments of $10,000 in month 24 and $5,000 in month 60
+    const lumpSums = {};
+    (text || '').split(',').forEach(entry => {
+        const [month, amount] = entry.split(':').map(part => parseFloat(part));
+        if (month >= 1 && amount > 0) {
+            const key = Math.round(month);
+            lumpSums[key] = (lumpSums[key] || 0) + amount;
+        }
+    });
+    return lumpSums;
+}
+
+function hasPrepayment(prepayment) {
+    return Boolean(prepayment && (prepayment.monthlyExtra > 0 || prepayment.biweekly ||
+                                  Object.keys(prepayment.lumpSums || {}).length > 0));
+}
+
+function buildAmortizationSchedule(homePrice, downPayment, interestRate, mortgageTerm, homeAppreciation, months, costs, escalation, pmi, prepayment, rates) {
+    const loanAmount = homePrice - downPayment;
+    let monthlyRate = interestRate / 100 / 12;
+    const termMonths = mortgageTerm * 12;
+    let monthlyPayment = loanAmount > 0 ? calculateMortgagePayment(loanAmount, interestRate, mortgageTerm) : 0;
+    let scheduledPayment = monthlyPayment;
+    let rate = interestRate;
+    
+    // Half the payment every two weeks adds up to one extra monthly payment a year
+    const extras = prepayment || {};
+    const biweeklyExtra = extras.biweekly ? monthlyPayment / 12 : 0;
+    const monthlyExtra = extras.monthlyExtra || 0;
+    const lumpSums = extras.lumpSums || {};
+    
+    const schedule = [];
+    let balance = loanAmount;
+    // Automatic PMI cancellation follows the original schedule, ignoring prepayments
+    let scheduledBalance = loanAmount;
+    let cumulativeInterest = 0;
+    let cumulativePrincipal = 0;
+    let homeValue = homePrice;
+    const monthlyAppreciation = Math.pow(1 + homeAppreciation / 100, 1 / 12);
+    const yearCosts = {};
+    let pmiActive = pmi.monthlyAmount > 0;
+    
+    for (let month = 1; month <= months; month++) {
+        let interest = 0;
+        let principal = 0;
+        let extraPrincipal = 0;
+        
+        // An adjustable rate re-amortizes what's left over the remaining term whenever it resets
+        if (rates && month <= termMonths && rates[month - 1] !== rate) {
+            rate = rates[month - 1];
+            monthlyRate = rate / 100 / 12;
+            const remainingYears = (termMonths - month + 1) / 12;
+            monthlyPayment = balance > 0 ? calculateMortgagePayment(balance, rate, remainingYears) : 0;
+            scheduledPayment = scheduledBalance > 0 ? calculateMortgagePayment(scheduledBalance, rate, remainingYears) : 0;
+        }
+        
+        if (month <= termMonths && balance > 0) {
+            interest = balance * monthlyRate;
+            // Last payment clears whatever rounding left on the balance
+            principal = Math.min(monthlyPayment - interest, balance);
+            balance -= principal;
+            
+            // Extra principal comes on top of the scheduled payment, until the loan is gone
+            extraPrincipal = Math.min(monthlyExtra + biweeklyExtra + (lumpSums[month] || 0), balance);
+            principal += extraPrincipal;
+            balance -= extraPrincipal;
+        }
+        if (month <= termMonths) {
+            scheduledBalance = Math.max(0, scheduledBalance - (scheduledPayment - scheduledBalance * monthlyRate));
+        }
+        
+        cumulativeInterest += interest;
+        cumulativePrincipal += principal;
+        
+        homeValue *= monthlyAppreciation;
+        
+        // PMI is charged this month unless the loan has already paid down far enough
+        const pmiCharge = pmiActive ? pmi.monthlyAmount : 0;
+        if (pmiActive) {
+            const scheduledLtv = scheduledBalance / homePrice;
+            const currentLtv = balance / homeValue;
+            if (scheduledLtv <= PMI_AUTOMATIC_CANCEL_LTV || (pmi.earlyRemoval && currentLtv <= PMI_REQUESTED_CANCEL_LTV)) {
+                pmiActive = false;
+            }
+        }
+        
+        // Recurring costs step up at the start of each year, each at its own rate
+        const year = Math.ceil(month / 12);
+        if (month % 12 === 1) {
+            Object.keys(costs).forEach(key => {
+                yearCosts[key] = costs[key] * Math.pow(1 + (escalation[key] || 0) / 100, year - 1);
+            });
+        }
+        
+        schedule.push({
+            month: month,
+            year: year,
+            rate: rate,
+            payment: interest + principal,
+            interest: interest,
+            principal: principal,
+            extraPrincipal: extraPrincipal,
+            balance: balance,
+            propertyTax: yearCosts.propertyTax,
+            homeInsurance: yearCosts.homeInsurance,
+            hoaFees: yearCosts.hoaFees,
+            pmi: pmiCharge,
+            utilities: yearCosts.utilities,
+            maintenance: yearCosts.maintenance,
+            cumulativeInterest: cumulativeInterest,
+            cumulativePrincipal: cumulativePrincipal,
+            homeValue: homeValue,
+            equity: homeValue - balance
+        });
+    }
+    
+    return schedule;
+}
+
+function summarizeScheduleByYear(schedule) {
+    const years = [];
+    
+    schedule.forEach(row => {
+        let summary = years[row.year - 1];
+        if (!summary) {
+            summary = {
+                year: row.year,
+                payment: 0,
+                interest: 0,
+                principal: 0,
+                extraPrincipal: 0,
+                propertyTax: 0,
+                homeInsurance: 0,
+                hoaFees: 0,
+                pmi: 0,
+                utilities: 0,
+                maintenance: 0
+            };
+            years.push(summary);
+        }
+        
+        summary.payment += row.payment;
+        summary.interest += row.interest;
+        summary.principal += row.principal;
+        summary.extraPrincipal += row.extraPrincipal;
+        summary.propertyTax += row.propertyTax;
+        summary.homeInsurance += row.homeInsurance;
+        summary.hoaFees += row.hoaFees;
+        summary.pmi += row.pmi;
+        summary.utilities += row.utilities;
+        summary.maintenance += row.maintenance;
+        // End-of-year snapshots
+        summary.balance = row.balance;
+        summary.homeValue = row.homeValue;
+        summary.equity = row.equity;
+    });
+    
+    return years;
+}
+
+function buildInvestmentPortfolios(schedule, yearlySchedule, months, investmentReturn, monthlyInvestmentAmount, investing, returnPath) {
+    // Month-by-month balance and money paid in for each household's monthly investments (the renter's invested
+    // down payment is tracked separately). A fixed amount goes to the buyer every month. Otherwise whichever
+    // household pays less that month invests the gap, with rental income and tax benefits spread over their year.
+    // Each month also records how much more the buyer paid out than the renter, whether or not it was invested.
+    const portfolios = [{ costDifference: 0, rentingBalance: 0, rentingContributions: 0, buyingBalance: 0, buyingContributions: 0 }];
+    let rentingBalance = 0;
+    let rentingContributions = 0;
+    let buyingBalance = 0;
+    let buyingContributions = 0;
+    
+    for (let month = 1; month <= months; month++) {
+        const row = schedule[month - 1];
+        const ledgerYear = yearlySchedule[row.year - 1];
+        let rentingContribution = 0;
+        let buyingContribution = monthlyInvestmentAmount;
+        
+        const rentingOutlay = investing.monthlyRent * Math.pow(1 + investing.rentIncrease / 100, row.year - 1) +
+                              investing.rentersInsurance * Math.pow(1 + investing.inflationRate / 100, row.year - 1);
+        const buyingOutlay = row.payment + row.propertyTax + row.homeInsurance + row.hoaFees + row.pmi + row.utilities + row.maintenance -
+                             (ledgerYear.netRentalIncome + ledgerYear.taxBenefit) / 12;
+        if (investing.mode !== 'fixed') {
+            rentingContribution = Math.max(0, buyingOutlay - rentingOutlay);
+            buyingContribution = Math.max(0, rentingOutlay - buyingOutlay);
+        }
+        
+        // Contributions go in at the end of each month, as in calculateContributionGrowth
+        const monthlyRate = getYearRate(investmentReturn, returnPath, row.year) / 100 / 12;
+        rentingBalance = rentingBalance * (1 + monthlyRate) + rentingContribution;
+        rentingContributions += rentingContribution;
+        buyingBalance = buyingBalance * (1 + monthlyRate) + buyingContribution;
+        buyingContributions += buyingContribution;
+        
+        portfolios.push({
+            costDifference: buyingOutlay - rentingOutlay,
+            rentingBalance: rentingBalance,
+            rentingContributions: rentingContributions,
+            buyingBalance: buyingBalance,
+            buyingContributions: buyingContributions
+        });
+    }
+    
+    return portfolios;
+}
+
+function getDeflator(inflationRate, years, realDollars) {
+    // Divide a nominal amount by this to express it in today's dollars
+    return realDollars ? Math.pow(1 + inflationRate / 100, years) : 1;
+}
+
+function calculateHomeValue(initialPrice, appreciationRate, years) {
+    return initialPrice * Math.pow(1 + appreciationRate / 100, years);
+}
+
+function calculateRentLedger(initialRent, increaseRate, years, securityDeposit, rentersInsurance, brokerFee, inflationRate, realDollars) {
+    // One row per possible move-out year (0 = leave immediately) with the running total cost of renting
+    const yearlyTotals = [];
+    let cumulativeRent = 0;
+    let cumulativeInsurance = 0;
+    let currentRent = initialRent;
+    let currentInsurance = rentersInsurance;
+    
+    // Initial costs
+    const securityDepositAmount = initialRent * securityDeposit;
+    
+    for (let year = 0; year <= years; year++) {
+        if (year > 0) {
+            const deflator = getDeflator(inflationRate, year - 1, realDollars);
+            
+            // Add rent for the year
+            cumulativeRent += currentRent * 12 / deflator;
+            
+            // Add renter's insurance for the year (adjusted for inflation)
+            cumulativeInsurance += currentInsurance * 12 / deflator;
+            
+            // Increase rent and insurance for next year
+            currentRent = currentRent * (1 + increaseRate / 100);
+            currentInsurance = currentInsurance * (1 + inflationRate / 100);
+        }
+        
+        // Security deposit is returned on move-out, though inflation erodes it
+        const securityDepositLoss = securityDepositAmount - securityDepositAmount / getDeflator(inflationRate, year, realDollars);
+        
+        yearlyTotals.push({
+            year: year,
+            rent: cumulativeRent,
+            rentersInsurance: cumulativeInsurance,
+            totalCost: brokerFee + cumulativeRent + cumulativeInsurance + securityDepositLoss
+        });
+    }
+    
+    return yearlyTotals;
+}
+
+function calculateRentCost(initialRent, increaseRate, years, securityDeposit, rentersInsurance, brokerFee, inflationRate, realDollars) {
+    const yearlyTotals = calculateRentLedger(initialRent, increaseRate, years, securityDeposit, rentersInsurance, brokerFee, inflationRate, realDollars);
+    return yearlyTotals[years].totalCost;
+}
+
+function getYearRate(rate, ratePath, year) {
+    // A simulated path gives each year (1 = the first) its own rate; otherwise the rate is the same every year
+    return ratePath && ratePath[year - 1] !== undefined ? ratePath[year - 1] : rate;
+}
+
+function calculateInvestmentGrowth(principal, rate, years, ratePath) {
+    if (!ratePath) {
+        return principal * Math.pow(1 + rate / 100, years);
+    }
+    // Along a simulated path each year compounds at its own return, so the order of good and bad years counts
+    let balance = principal;
+    for (let year = 0; year < years; year++) {
+        balance *= Math.pow(1 + getYearRate(rate, ratePath, year + 1) / 100, Math.min(1, years - year));
+    }
+    return balance;
+}
+
+function calculateContributionGrowth(monthlyAmount, rate, months) {
+    // Future value of a fixed monthly contribution
+    const monthlyRate = rate / 100 / 12;
+    if (!monthlyAmount || months <= 0) {
+        return 0;
+    }
+    if (monthlyRate === 0) {
+        return monthlyAmount * months;
+    }
+    return monthlyAmount * ((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate);
+}
+
+function getHomeSaleExclusion(filingStatus) {
+    // Section 121 exclusion of gain on the sale of a main home
+    const exclusions = {
+        'single': 250000,
+        'marriedJoint': 500000,
+        'marriedSeparate': 250000,
+        'headOfHousehold': 250000
+    };
+    return exclusions[filingStatus] || 250000;
+}
+
+// Residential rental buildings are depreciated straight-line over 27.5 years
+const DEPRECIATION_YEARS = 27.5;
+// Depreciation taken is taxed at no more than this rate when the property sells
+const DEPRECIATION_RECAPTURE_RATE = 25;
+
+function calculateHomeSaleTax(salePrice, sellingCostAmount, costBasis, yearsOwned, filingStatus, capitalGainsTaxRate,
+                              depreciation = 0, recaptureRate = 0) {
+    // Depreciation lowers the basis and is taxed back first; the exclusion can't shelter it.
+    // The exclusion requires owning and living in the home for 2 of the 5 years before the sale.
+    const gain = salePrice - sellingCostAmount - (costBasis - depreciation);
+    const recapturedGain = Math.max(0, Math.min(depreciation, gain));
+    const exclusion = yearsOwned >= 2 ? getHomeSaleExclusion(filingStatus) : 0;
+    const taxableGain = Math.max(0, gain - recapturedGain - exclusion);
+    const recaptureTax = recapturedGain * (recaptureRate / 100);
+    
+    return {
+        gain: gain,
+        exclusion: exclusion,
+        taxableGain: taxableGain,
+        recapturedGain: recapturedGain,
+        recaptureTax: recaptureTax,
+        tax: taxableGain * ((capitalGainsTaxRate || 0) / 100) + recaptureTax
+    };
+}
+
+function calculateBuyingCosts(homePrice, downPayment, interestRate, mortgageTerm, 
+                            homeAppreciation, rentalIncome, timeframe, investmentReturn, 
+                            propertyTaxRate, homeInsurance, hoaFees, maintenanceRate, closingCosts,
+                            pmiOptions, additionalUtilities, sellingCosts, marginalTaxRate, inflationRate, monthlyRent, filingStatus, monthlyInvestmentAmount,
+                            costEscalation, realDollars, capitalGainsTaxRate, taxProfile, prepayment, arm, houseHack, investing, returnPath) {
+    const loanAmount = homePrice - downPayment;
+    
+    // PMI is priced off the starting loan-to-value unless a rate was entered
+    const loanToValue = loanAmount / homePrice;
+    const pmiRate = loanToValue <= PMI_REQUESTED_CANCEL_LTV ? 0 :
+        (isNaN(pmiOptions.rate) ? getPmiRate(loanToValue, pmiOptions.creditScore) : pmiOptions.rate);
+    const monthlyMortgage = calculateMortgagePayment(loanAmount, interestRate, mortgageTerm);
+    
+    // House hacking: rent collected after vacancy and landlord-only costs, before tax
+    const hack = houseHack || {};
+    const grossRentalIncome = rentalIncome || 0;
+    const rentalVacancy = grossRentalIncome > 0 ? (hack.vacancy || 0) : 0;
+    const monthlyLandlordExpenses = grossRentalIncome > 0 ? (hack.landlordExpenses || 0) : 0;
+    const rentedShare = grossRentalIncome > 0 ? (hack.rentedShare || 0) / 100 : 0;
+    const rentalGrowth = isNaN(hack.growth) ? 0 : hack.growth;
+    const monthlyRentalIncome = grossRentalIncome * (1 - rentalVacancy / 100) - monthlyLandlordExpenses;
+    
+    // Calculate monthly homeownership costs (first year)
+    const annualPropertyTax = homePrice * (propertyTaxRate / 100);
+    const monthlyPropertyTax = annualPropertyTax / 12;
+    const monthlyHomeInsurance = homeInsurance / 12;
+    const monthlyHoaFees = hoaFees || 0;
+    const monthlyPmi = loanAmount * pmiRate / 100 / 12;
+    const monthlyAdditionalUtilities = additionalUtilities || 0;
+    const annualMaintenance = (homePrice * maintenanceRate) / 100;
+    const monthlyMaintenance = annualMaintenance / 12;
+    const totalMonthlyHousingCost = monthlyMortgage + monthlyPropertyTax + monthlyHomeInsurance + monthlyHoaFees + monthlyPmi + monthlyAdditionalUtilities + monthlyMaintenance;
+    
+    // Each recurring cost grows at its own rate: inflation by default, property tax with the home's value
+    const escalation = Object.assign({
+        propertyTax: homeAppreciation,
+        homeInsurance: inflationRate,
+        hoaFees: inflationRate,
+        utilities: inflationRate,
+        maintenance: inflationRate
+    }, costEscalation);
+    
+    // Month-by-month ledger over the loan term (or the stay, if longer)
+    const scheduleMonths = Math.max(mortgageTerm, timeframe) * 12;
+    const schedule = buildAmortizationSchedule(homePrice, downPayment, interestRate, mortgageTerm, homeAppreciation, scheduleMonths, {
+        propertyTax: monthlyPropertyTax,
+        homeInsurance: monthlyHomeInsurance,
+        hoaFees: monthlyHoaFees,
+        utilities: monthlyAdditionalUtilities,
+        maintenance: monthlyMaintenance
+    }, escalation, {
+        monthlyAmount: monthlyPmi,
+        earlyRemoval: pmiOptions.earlyRemoval
+    }, prepayment, buildRateSchedule(interestRate, mortgageTerm, arm));
+    const yearlySchedule = summarizeScheduleByYear(schedule).slice(0, timeframe);
+    const timeframeSchedule = schedule.slice(0, timeframe * 12);
+    
+    // Yearly flows are deflated from the start of their year, end-of-year snapshots from its end
+    yearlySchedule.forEach(year => {
+        year.deflator = getDeflator(inflationRate, year.year - 1, realDollars);
+        year.endDeflator = getDeflator(inflationRate, year.year, realDollars);
+    });
+    const sumOverYears = (key) => yearlySchedule.reduce((sum, year) => sum + year[key] / year.deflator, 0);
+    
+    // Calculate total costs over the timeframe (with inflation adjustments)
+    const totalMortgagePayments = sumOverYears('payment');
+    const totalMortgageInterest = sumOverYears('interest');
+    const totalPrincipalPaid = sumOverYears('principal');
+    const totalPropertyTax = sumOverYears('propertyTax');
+    const totalHomeInsurance = sumOverYears('homeInsurance');
+    const totalHoaFees = sumOverYears('hoaFees');
+    const totalPmi = sumOverYears('pmi');
+    
+    // PMI months over the stay, and when it drops off the loan entirely
+    const pmiMonths = timeframeSchedule.filter(row => row.pmi > 0).length;
+    const pmiPaidMonths = schedule.filter(row => row.pmi > 0);
+    const pmiEndMonth = pmiPaidMonths.length > 0 ? pmiPaidMonths[pmiPaidMonths.length - 1].month : 0;
+    
+    // Month the loan is paid off - earlier than the term when prepaying
+    const payoffRow = schedule.find(row => row.balance <= 0.005 && row.month <= mortgageTerm * 12);
+    const payoffMonth = payoffRow ? payoffRow.month : mortgageTerm * 12;
+    const lifetimeInterest = schedule.reduce((sum, row) => sum + row.interest, 0);
+    const totalExtraPrincipal = sumOverYears('extraPrincipal');
+    
+    // Each rate reset and the payment it brings, for adjustable-rate loans
+    const rateResets = schedule.filter((row, index) => index > 0 && row.month <= mortgageTerm * 12 && row.rate !== schedule[index - 1].rate)
+        .map(row => ({ month: row.month, rate: row.rate, payment: row.payment - row.extraPrincipal }));
+    const maxMonthlyMortgage = rateResets.reduce((max, reset) => Math.max(max, reset.payment), monthlyMortgage);
+    const totalAdditionalUtilities = sumOverYears('utilities');
+    const totalMaintenance = sumOverYears('maintenance');
+    const totalHousingCosts = totalMortgagePayments + totalPropertyTax + totalHomeInsurance + totalHoaFees + totalPmi + totalAdditionalUtilities + totalMaintenance;
+    
+    // Calculate tax benefits (mortgage interest and property tax deductions)
+    // Itemizing is re-decided every year because the interest share of each payment shrinks.
+    // Income, brackets and the household's other deductions keep pace with inflation.
+    // The rented share of interest and property tax is a rental expense instead of an itemized deduction.
+    const profile = taxProfile || {};
+    yearlySchedule.forEach(year => {
+        const indexFactor = Math.pow(1 + inflationRate / 100, year.year - 1);
+        year.tax = calculateHomeTaxBenefit({
+            filingStatus: filingStatus,
+            taxYear: profile.taxYear,
+            taxableIncome: profile.taxableIncome * indexFactor,
+            marginalTaxRate: marginalTaxRate,
+            mortgageInterest: year.interest * (1 - rentedShare),
+            loanBalance: year.balance + year.principal,
+            propertyTax: year.propertyTax * (1 - rentedShare),
+            stateLocalTaxes: (profile.stateLocalTaxes || 0) * indexFactor,
+            otherDeductions: (profile.otherDeductions || 0) * indexFactor,
+            indexFactor: indexFactor
+        });
+        year.taxBenefit = year.tax.taxBenefit;
+    });
+    
+    // Calculate closing costs
+    const totalClosingCosts = homePrice * (closingCosts / 100);
+    
+    // Rental profit is taxed after the rented share of the home's costs and depreciation on that share of the
+    // building. Losses can't offset other income, so they carry forward to later years and the sale.
+    const rentalTaxRate = isNaN(profile.taxableIncome) ? marginalTaxRate :
+        getMarginalRate(profile.taxableIncome - getStandardDeduction(filingStatus, profile.taxYear), getTaxBrackets(filingStatus, profile.taxYear));
+    const depreciableBasis = (homePrice + totalClosingCosts) * (1 - (hack.landValue || 0) / 100) * rentedShare;
+    let totalDepreciation = 0;
+    let suspendedLosses = 0;
+    yearlySchedule.forEach(year => {
+        const rentCollected = grossRentalIncome * 12 * Math.pow(1 + rentalGrowth / 100, year.year - 1);
+        year.rentalVacancy = rentCollected * (rentalVacancy / 100);
+        year.rentCollected = rentCollected - year.rentalVacancy;
+        year.landlordExpenses = monthlyLandlordExpenses * 12 * Math.pow(1 + inflationRate / 100, year.year - 1);
+        year.depreciation = Math.min(depreciableBasis / DEPRECIATION_YEARS, depreciableBasis - totalDepreciation);
+        totalDepreciation += year.depreciation;
+        
+        const sharedCosts = year.interest + year.propertyTax + year.homeInsurance + year.hoaFees + year.utilities + year.maintenance;
+        let rentalProfit = year.rentCollected - year.landlordExpenses - sharedCosts * rentedShare - year.depreciation;
+        if (rentalProfit < 0) {
+            suspendedLosses -= rentalProfit;
+            rentalProfit = 0;
+        } else {
+            const lossesUsed = Math.min(rentalProfit, suspendedLosses);
+            suspendedLosses -= lossesUsed;
+            rentalProfit -= lossesUsed;
+        }
+        year.rentalTax = rentalProfit * (rentalTaxRate / 100);
+        year.netRentalIncome = year.rentCollected - year.landlordExpenses - year.rentalTax;
+        year.totalDepreciation = totalDepreciation;
+        year.suspendedLosses = suspendedLosses;
+    });
+    
+    // Calculate monthly difference that could be invested
+    const netMonthlyHousingCost = totalMonthlyHousingCost - monthlyRentalIncome;
+    
+    // Use the user-specified monthly investment amount, or invest whatever the cheaper household saves each month
+    const investingOptions = Object.assign({ mode: 'fixed', rentIncrease: 0, rentersInsurance: 0 }, investing,
+                                           { monthlyRent: monthlyRent, inflationRate: inflationRate });
+    const investingDifference = investingOptions.mode !== 'fixed';
+    const monthlyInvestmentPotential = investingDifference ? 0 : (monthlyInvestmentAmount || 0);
+    const portfolios = buildInvestmentPortfolios(schedule, yearlySchedule, timeframe * 12, investmentReturn,
+                                                 monthlyInvestmentPotential, investingOptions, returnPath);
+    
+    // Average gap between the two households' monthly outlays over the first year, read off the same months
+    // the invested difference comes from
+    const firstYear = portfolios.slice(1, 13);
+    const monthlyDifference = Math.abs(firstYear.reduce((sum, month) => sum + month.costDifference, 0) / firstYear.length);
+    
+    // One row per possible sale year (0 = sell immediately). The summary reads the last row and the
+    // charts read every row, so they can never disagree.
+    const yearlyTotals = [];
+    let cumulativeHousingCosts = 0;
+    let cumulativeRentalIncome = 0;
+    let cumulativeTaxBenefits = 0;
+    
+    for (let year = 0; year <= timeframe; year++) {
+        if (year > 0) {
+            const ledgerYear = yearlySchedule[year - 1];
+            cumulativeHousingCosts += (ledgerYear.payment + ledgerYear.propertyTax + ledgerYear.homeInsurance + ledgerYear.hoaFees +
+                                       ledgerYear.pmi + ledgerYear.utilities + ledgerYear.maintenance) / ledgerYear.deflator;
+            cumulativeRentalIncome += ledgerYear.netRentalIncome / ledgerYear.deflator;
+            cumulativeTaxBenefits += ledgerYear.taxBenefit / ledgerYear.deflator;
+        }
+        
+        const saleDeflator = getDeflator(inflationRate, year, realDollars);
+        
+        // Calculate home value after appreciation and selling costs (configurable realtor fee)
+        const nominalHomeValue = calculateHomeValue(homePrice, homeAppreciation, year);
+        const homeValue = nominalHomeValue / saleDeflator;
+        const sellingCostAmount = homeValue * (sellingCosts / 100);
+        
+        // Gains are taxed in the dollars of the sale year, so work them out before deflating.
+        // Closing costs paid at purchase are added to the home's cost basis. Rental losses still
+        // carried forward are finally deducted in the year of the sale.
+        const rentalToDate = year > 0 ? yearlySchedule[year - 1] : { totalDepreciation: 0, suspendedLosses: 0 };
+        const saleTax = calculateHomeSaleTax(nominalHomeValue, nominalHomeValue * (sellingCosts / 100), homePrice + totalClosingCosts,
+                                             year, filingStatus, capitalGainsTaxRate, rentalToDate.totalDepreciation,
+                                             Math.min(rentalTaxRate, DEPRECIATION_RECAPTURE_RATE));
+        const releasedLossBenefit = rentalToDate.suspendedLosses * (rentalTaxRate / 100);
+        const homeSaleTax = (saleTax.tax - releasedLossBenefit) / saleDeflator;
+        
+        // Remaining loan balance is read straight off the amortization ledger
+        const balance = (year > 0 ? yearlySchedule[year - 1].balance : loanAmount) / saleDeflator;
+        const netProceeds = homeValue - sellingCostAmount - balance - homeSaleTax;
+        
+        // Both portfolios are liquidated at the sale and owe tax on their growth
+        const downPaymentGrowth = calculateInvestmentGrowth(downPayment, investmentReturn, year, returnPath);
+        const downPaymentTax = Math.max(0, downPaymentGrowth - downPayment) * ((capitalGainsTaxRate || 0) / 100);
+        const portfolio = portfolios[year * 12];
+        const buyingInvestmentTax = Math.max(0, portfolio.buyingBalance - portfolio.buyingContributions) * ((capitalGainsTaxRate || 0) / 100);
+        const rentingInvestmentTax = Math.max(0, portfolio.rentingBalance - portfolio.rentingContributions) * ((capitalGainsTaxRate || 0) / 100);
+        
+        // A fixed amount counts in full. The invested difference came out of the cheaper side's lower costs,
+        // which the totals already credit, so only what it earned after tax counts.
+        const buyingPortfolio = portfolio.buyingBalance - buyingInvestmentTax;
+        const rentingPortfolio = portfolio.rentingBalance - rentingInvestmentTax;
+        const buyingCredit = investingDifference ? buyingPortfolio - portfolio.buyingContributions : buyingPortfolio;
+        const rentingCredit = rentingPortfolio - portfolio.rentingContributions;
+        
+        yearlyTotals.push({
+            year: year,
+            homeValue: homeValue,
+            sellingCosts: sellingCostAmount,
+            remainingBalance: balance,
+            capitalGain: saleTax.gain / saleDeflator,
+            homeSaleExclusion: saleTax.exclusion / saleDeflator,
+            homeSaleTax: homeSaleTax,
+            recaptureTax: saleTax.recaptureTax / saleDeflator,
+            releasedLossBenefit: releasedLossBenefit / saleDeflator,
+            netProceeds: netProceeds,
+            housingCosts: cumulativeHousingCosts,
+            rentalIncome: cumulativeRentalIncome,
+            taxBenefits: cumulativeTaxBenefits,
+            // Total cost of buying = Down payment + Closing costs + All housing costs - Rental income - Tax benefits - Net proceeds from sale
+            // Net proceeds include the effect of home appreciation
+            totalCost: downPayment + totalClosingCosts + cumulativeHousingCosts - cumulativeRentalIncome - cumulativeTaxBenefits - netProceeds,
+            // Opportunity cost of the down payment, and compound growth of the monthly investments, both after tax.
+            // Only the down payment's growth counts: the buyer's total already charges the down payment itself.
+            downPaymentOpportunityCost: (downPaymentGrowth - downPaymentTax) / saleDeflator - downPayment,
+            downPaymentTax: downPaymentTax / saleDeflator,
+            monthlyInvestmentGrowth: buyingCredit / saleDeflator,
+            monthlyInvestmentTax: buyingInvestmentTax / saleDeflator,
+            buyingPortfolio: buyingPortfolio / saleDeflator,
+            buyingContributions: portfolio.buyingContributions / saleDeflator,
+            // The renter's invested monthly savings, on top of the invested down payment
+            rentingInvestmentGrowth: rentingCredit / saleDeflator,
+            rentingInvestmentTax: rentingInvestmentTax / saleDeflator,
+            rentingPortfolio: rentingPortfolio / saleDeflator,
+            rentingContributions: portfolio.rentingContributions / saleDeflator
+        });
+    }
+    
+    const saleYear = yearlyTotals[timeframe];
+    const futureHomeValue = saleYear.homeValue;
+    const totalSellingCosts = saleYear.sellingCosts;
+    const remainingBalance = saleYear.remainingBalance;
+    const netProceeds = saleYear.netProceeds;
+    const totalRentalIncome = saleYear.rentalIncome;
+    const totalTaxBenefits = saleYear.taxBenefits;
+    const downPaymentOpportunityCost = saleYear.downPaymentOpportunityCost;
+    const totalMonthlyInvestmentGrowth = saleYear.monthlyInvestmentGrowth;
+    const totalCost = saleYear.totalCost;
+    
+    return {
+        totalCost: totalCost,
+        monthlyMortgage: monthlyMortgage,
+        monthlyRentalIncome: monthlyRentalIncome,
+        monthlyPropertyTax: monthlyPropertyTax,
+        monthlyHomeInsurance: monthlyHomeInsurance,
+        monthlyHoaFees: monthlyHoaFees,
+        monthlyMaintenance: monthlyMaintenance,
+        totalMonthlyHousingCost: totalMonthlyHousingCost,
+        netMonthlyHousingCost: netMonthlyHousingCost,
+        futureHomeValue: futureHomeValue,
+        netProceeds: netProceeds,
+        capitalGain: saleYear.capitalGain,
+        homeSaleExclusion: saleYear.homeSaleExclusion,
+        homeSaleTax: saleYear.homeSaleTax,
+        recaptureTax: saleYear.recaptureTax,
+        releasedLossBenefit: saleYear.releasedLossBenefit,
+        grossRentalIncome: grossRentalIncome,
+        rentalVacancyRate: rentalVacancy,
+        rentalGrowth: rentalGrowth,
+        rentedShare: rentedShare,
+        monthlyLandlordExpenses: monthlyLandlordExpenses,
+        rentalTaxRate: rentalTaxRate,
+        totalRentCollected: sumOverYears('rentCollected'),
+        totalRentalVacancy: sumOverYears('rentalVacancy'),
+        totalLandlordExpenses: sumOverYears('landlordExpenses'),
+        totalRentalTax: sumOverYears('rentalTax'),
+        totalDepreciation: sumOverYears('depreciation'),
+        downPaymentTax: saleYear.downPaymentTax,
+        monthlyInvestmentTax: saleYear.monthlyInvestmentTax,
+        investmentMode: investingDifference ? 'difference' : 'fixed',
+        buyingPortfolio: saleYear.buyingPortfolio,
+        buyingContributions: saleYear.buyingContributions,
+        rentingPortfolio: saleYear.rentingPortfolio,
+        rentingContributions: saleYear.rentingContributions,
+        rentingInvestmentGrowth: saleYear.rentingInvestmentGrowth,
+        rentingInvestmentTax: saleYear.rentingInvestmentTax,
+        portfolios: portfolios,
+        totalMortgagePayments: totalMortgagePayments,
+        totalPropertyTax: totalPropertyTax,
+        totalHomeInsurance: totalHomeInsurance,
+        totalHoaFees: totalHoaFees,
+        totalPmi: totalPmi,
+        pmiRate: pmiRate,
+        pmiMonths: pmiMonths,
+        pmiEndMonth: pmiEndMonth,
+        payoffMonth: payoffMonth,
+        loanType: arm && ARM_PRODUCTS[arm.loanType] ? arm.loanType : 'fixed',
+        rateResets: rateResets,
+        maxMonthlyMortgage: maxMonthlyMortgage,
+        lifetimeInterest: lifetimeInterest,
+        totalExtraPrincipal: totalExtraPrincipal,
+        loanToValue: loanToValue,
+        totalAdditionalUtilities: totalAdditionalUtilities,
+        totalMaintenance: totalMaintenance,
+        totalHousingCosts: totalHousingCosts,
+        totalRentalIncome: totalRentalIncome,
+        totalSellingCosts: totalSellingCosts,
+        sellingCosts: sellingCosts,
+        totalClosingCosts: totalClosingCosts,
+        totalTaxBenefits: totalTaxBenefits,
+        totalMortgageInterest: totalMortgageInterest,
+        totalPrincipalPaid: totalPrincipalPaid,
+        remainingBalance: remainingBalance,
+        schedule: schedule,
+        yearlySchedule: yearlySchedule,
+        yearlyTotals: yearlyTotals,
+        escalation: escalation,
+        realDollars: realDollars,
+        inflationRate: inflationRate,
+        annualPropertyTax: annualPropertyTax,
+        monthlyPmi: monthlyPmi,
+        monthlyAdditionalUtilities: monthlyAdditionalUtilities,
+        netMonthlyHousingCost: netMonthlyHousingCost,
+        downPaymentOpportunityCost: downPaymentOpportunityCost,
+        monthlyDifference: monthlyDifference,
+        monthlyInvestmentPotential: monthlyInvestmentPotential,
+        totalMonthlyInvestmentGrowth: totalMonthlyInvestmentGrowth
+    };
+}
+
+function findBreakEvenYear(yearly) {
+    // First year in which the cumulative rent and buy totals cross, interpolated between year-ends
+    for (let year = 1; year < yearly.length; year++) {
+        const prevRentCost = yearly[year - 1].rentingWithInvestment;
+        const prevBuyCost = yearly[year - 1].buyingCostWithInvestment;
+        const currentRentCost = yearly[year].rentingWithInvestment;
+        const currentBuyCost = yearly[year].buyingCostWithInvestment;
+        
+        // Check if lines crossed between this year and last year
+        if ((prevRentCost <= prevBuyCost && currentRentCost >= currentBuyCost) ||
+            (prevRentCost >= prevBuyCost && currentRentCost <= currentBuyCost)) {
+            // Linear interpolation to find more precise break-even point
+            const rentSlope = currentRentCost - prevRentCost;
+            const buySlope = currentBuyCost - prevBuyCost;
+            const slopeDiff = rentSlope - buySlope;
+            
+            if (Math.abs(slopeDiff) > 0.01) { // Avoid division by zero
+                const intersection = (prevBuyCost - prevRentCost) / slopeDiff;
+                return Math.max(0, Math.min(1, intersection)) + (year - 1);
+            }
+            // Parallel lines only meet where they already touched at the start of the year
+            return Math.abs(prevRentCost - prevBuyCost) < 0.01 ? year - 1 : year - 0.5;
+        }
+    }
+    
+    return null;
+}
+
+function runScenario(inputs) {
+    // Calculate costs
+    const rentLedger = calculateRentLedger(inputs.monthlyRent, inputs.rentIncrease, inputs.timeframe, inputs.securityDeposit,
+                                           inputs.rentersInsurance, inputs.brokerFee, inputs.inflationRate, inputs.realDollars);
+    const buyingResults = calculateBuyingCosts(inputs.homePrice, inputs.downPayment, inputs.interestRate,
+                                            inputs.mortgageTerm, inputs.homeAppreciation, inputs.rentalIncome, inputs.timeframe, inputs.investmentReturn,
+                                            inputs.propertyTaxRate, inputs.homeInsurance, inputs.hoaFees, inputs.maintenanceRate, inputs.closingCosts,
+                                            { rate: inputs.pmiRate, creditScore: inputs.creditScore, earlyRemoval: inputs.pmiEarlyRemoval },
+                                            inputs.additionalUtilities, inputs.sellingCosts, inputs.marginalTaxRate, inputs.inflationRate,
+                                            inputs.monthlyRent, inputs.filingStatus, inputs.monthlyInvestmentAmount,
+                                            inputs.costEscalation, inputs.realDollars, inputs.capitalGainsTaxRate, {
+                                                taxYear: inputs.taxYear,
+                                                taxableIncome: inputs.taxableIncome,
+                                                stateLocalTaxes: inputs.stateLocalTaxes,
+                                                otherDeductions: inputs.otherDeductions
+                                            }, {
+                                                monthlyExtra: inputs.extraPrincipal,
+                                                lumpSums: parseLumpSums(inputs.lumpSums),
+                                                biweekly: inputs.biweeklyPayments
+                                            }, {
+                                                loanType: inputs.loanType,
+                                                margin: inputs.armMargin,
+                                                initialCap: inputs.armInitialCap,
+                                                periodicCap: inputs.armPeriodicCap,
+                                                lifetimeCap: inputs.armLifetimeCap,
+                                                indexRate: inputs.armIndexRate,
+                                                indexPath: inputs.armIndexPath,
+                                                indexRise: inputs.armIndexRise,
+                                                indexValues: inputs.armIndexValues
+                                            }, {
+                                                growth: isNaN(inputs.rentalIncomeGrowth) ? inputs.rentIncrease : inputs.rentalIncomeGrowth,
+                                                vacancy: inputs.rentalVacancy,
+                                                landlordExpenses: inputs.landlordExpenses,
+                                                rentedShare: inputs.rentedShare,
+                                                landValue: inputs.landValue
+                                            }, {
+                                                mode: inputs.investmentMode,
+                                                rentIncrease: inputs.rentIncrease,
+                                                rentersInsurance: inputs.rentersInsurance
+                                            }, inputs.investmentReturnPath);
+    
+    // Compare both households as if they moved out at the end of each year
+    const yearly = rentLedger.map((rentYear, year) => {
+        const buyYear = buyingResults.yearlyTotals[year];
+        
+        // The renter is credited with what the down payment and the invested monthly savings earned, not the
+        // money itself: the buyer's total already charges the down payment
+        const rentingWithInvestment = rentYear.totalCost - buyYear.downPaymentOpportunityCost - buyYear.rentingInvestmentGrowth;
+        const buyingCostWithInvestment = buyYear.totalCost - buyYear.monthlyInvestmentGrowth;
+        
+        return {
+            year: year,
+            rentingCost: rentYear.totalCost,
+            buyingCost: buyYear.totalCost,
+            rentingWithInvestment: rentingWithInvestment,
+            buyingCostWithInvestment: buyingCostWithInvestment,
+            savingsWithOpportunityCost: rentingWithInvestment - buyingCostWithInvestment
+        };
+    });
+    const saleYear = yearly[inputs.timeframe];
+    
+    return {
+        rentingCost: saleYear.rentingCost,
+        rentLedger: rentLedger,
+        buyingResults: buyingResults,
+        rentingWithInvestment: saleYear.rentingWithInvestment,
+        buyingCostWithInvestment: saleYear.buyingCostWithInvestment,
+        savingsWithoutOpportunityCost: saleYear.rentingCost - saleYear.buyingCost,
+        // Determine which is better (including opportunity cost)
+        savingsWithOpportunityCost: saleYear.savingsWithOpportunityCost,
+        isBuyingBetter: saleYear.savingsWithOpportunityCost > 0,
+        yearly: yearly,
+        breakEvenYear: findBreakEvenYear(yearly)
+    };
+}
+
+function comparePrepayment(inputs, buyingResults) {
+    // The same scenario without any prepayment is the yardstick for interest saved and for investing instead
+    const baseline = runScenario(Object.assign({}, inputs, {
+        extraPrincipal: 0,
+        lumpSums: '',
+        biweeklyPayments: false
+    })).buyingResults;
+    
+    // Put each month's extra outlay into the portfolio instead. Once a prepaid loan is gone the difference
+    // turns negative: the investor keeps making the full payment by selling shares, paying tax on the gains sold.
+    const monthlyRate = inputs.investmentReturn / 100 / 12;
+    const gainsTaxRate = (inputs.capitalGainsTaxRate || 0) / 100;
+    let invested = 0;
+    let costBasis = 0;
+    let investTax = 0;
+    for (let month = 0; month < inputs.timeframe * 12; month++) {
+        const prepaid = buyingResults.schedule[month];
+        const standard = baseline.schedule[month];
+        const difference = (prepaid.payment + prepaid.pmi) - (standard.payment + standard.pmi);
+        invested *= 1 + monthlyRate;
+        
+        if (difference >= 0) {
+            costBasis += difference;
+        } else if (invested > 0) {
+            const soldShare = Math.min(1, -difference / invested);
+            const tax = (invested - costBasis) * soldShare * gainsTaxRate;
+            investTax += Math.max(0, tax);
+            invested -= Math.max(0, tax);
+            costBasis -= costBasis * soldShare;
+        }
+        invested += difference;
+    }
+    // Whatever is left is sold at the end of the stay
+    const finalTax = Math.max(0, invested - costBasis) * gainsTaxRate;
+    investTax += finalTax;
+    invested -= finalTax;
+    const saleDeflator = getDeflator(inputs.inflationRate, inputs.timeframe, inputs.realDollars);
+    
+    // Prepaying pays off through a smaller loan at sale, less whatever interest deduction it gives up
+    const netProceedsEffect = buyingResults.netProceeds - baseline.netProceeds;
+    const taxBenefitsLost = baseline.totalTaxBenefits - buyingResults.totalTaxBenefits;
+    
+    return {
+        interestSaved: baseline.totalMortgageInterest - buyingResults.totalMortgageInterest,
+        lifetimeInterestSaved: baseline.lifetimeInterest - buyingResults.lifetimeInterest,
+        payoffMonth: buyingResults.payoffMonth,
+        monthsEarly: baseline.payoffMonth - buyingResults.payoffMonth,
+        netProceedsEffect: netProceedsEffect,
+        taxBenefitsLost: taxBenefitsLost,
+        prepayValue: netProceedsEffect - taxBenefitsLost,
+        investValue: invested / saleDeflator,
+        investTax: investTax / saleDeflator
+    };
+}
+// Per-field rules. min/max/integer are hard limits that block results; warnBelow/warnAbove only flag unusual values.
+// Optional fields may be left blank to use their fallback, and "when" limits a rule to the inputs it applies to.
+const INPUT_RULES = {
+    monthlyRent: { min: 0, warnAbove: 20000 },
+    securityDeposit: { min: 0, warnAbove: 6 },
+    rentersInsurance: { min: 0, warnAbove: 200 },
+    brokerFee: { min: 0 },
+    rentIncrease: { min: -20, max: 50, warnAbove: 10 },
+    homePrice: { min: 1, warnBelow: 20000 },
+    downPayment: { min: 0 },
+    mortgageTerm: { min: 1, max: 50, integer: true, unit: 'years', warnAbove: 40 },
+    interestRate: { min: 0, max: 30, warnAbove: 15 },
+    armIndexRate: { min: 0, max: 30, when: inputs => inputs.loanType !== 'fixed' },
+    armMargin: { min: 0, max: 10, when: inputs => inputs.loanType !== 'fixed' },
+    armInitialCap: { min: 0, max: 20, when: inputs => inputs.loanType !== 'fixed' },
+    armPeriodicCap: { min: 0, max: 20, when: inputs => inputs.loanType !== 'fixed' },
+    armLifetimeCap: { min: 0, max: 20, when: inputs => inputs.loanType !== 'fixed' },
+    armIndexRise: { min: -10, max: 10, when: inputs => inputs.loanType !== 'fixed' && inputs.armIndexPath === 'rising' },
+    closingCosts: { min: 0, max: 100, warnAbove: 6 },
+    propertyTaxRate: { min: 0, max: 20, warnAbove: 4 },
+    homeInsurance: { min: 0 },
+    hoaFees: { min: 0 },
+    pmiRate: { optional: true, min: 0, max: 10, warnAbove: 2 },
+    additionalUtilities: { min: 0 },
+    maintenanceRate: { min: 0, max: 20, warnAbove: 4 },
+    sellingCosts: { min: 0, max: 50, warnAbove: 10 },
+    homeAppreciation: { min: -20, max: 50, warnAbove: 10 },
+    extraPrincipal: { min: 0 },
+    rentalIncome: { min: 0 },
+    rentalIncomeGrowth: { optional: true, min: -20, max: 50, warnAbove: 10 },
+    rentalVacancy: { min: 0, max: 100, warnAbove: 25 },
+    landlordExpenses: { min: 0 },
+    rentedShare: { min: 0, max: 100, warnAbove: 75 },
+    landValue: { min: 0, max: 100, warnAbove: 90 },
+    timeframe: { min: 1, max: 50, integer: true, unit: 'years', warnAbove: 30 },
+    investmentReturn: { min: -20, max: 50, warnAbove: 12 },
+    taxableIncome: { optional: true, min: 0 },
+    stateLocalTaxes: { optional: true, min: 0 },
+    otherDeductions: { optional: true, min: 0 },
+    marginalTaxRate: { optional: true, min: 0, max: 60 },
+    capitalGainsTaxRate: { min: 0, max: 60, warnAbove: 25 },
+    inflationRate: { min: -10, max: 50, warnAbove: 10 },
+    monthlyInvestmentAmount: { min: 0, when: inputs => inputs.investmentMode === 'fixed' },
+    // Monte Carlo settings, only checked when a simulation is started
+    simulationRuns: { min: 100, max: 10000, integer: true, unit: 'runs', when: inputs => 'simulationRuns' in inputs },
+    appreciationVolatility: { min: 0, max: 30, when: inputs => 'simulationRuns' in inputs },
+    returnVolatility: { min: 0, max: 50, when: inputs => 'simulationRuns' in inputs },
+    rentVolatility: { min: 0, max: 20, when: inputs => 'simulationRuns' in inputs },
+    inflationVolatility: { min: 0, max: 10, when: inputs => 'simulationRuns' in inputs }
+};
+
+// Checks that compare fields. Each reports on its first field, and is skipped while any of its fields has an error.
+const CROSS_FIELD_RULES = [
+    {
+        fields: ['downPayment', 'homePrice'],
+        level: 'error',
+        isValid: inputs => inputs.downPayment < inputs.homePrice,
+        message: 'Down payment must be less than the purchase price'
+    },
+    {
+        fields: ['downPayment', 'homePrice'],
+        level: 'warning',
+        isValid: inputs => inputs.downPayment >= inputs.homePrice * 0.03,
+        message: 'Most loans need at least 3% down'
+    },
+    {
+        fields: ['marginalTaxRate', 'taxableIncome'],
+        level: 'error',
+        isValid: inputs => !isNaN(inputs.taxableIncome) || !isNaN(inputs.marginalTaxRate),
+        message: 'Enter a marginal tax rate, or a household income to work it out from'
+    },
+    {
+        fields: ['timeframe', 'mortgageTerm'],
+        level: 'warning',
+        isValid: inputs => inputs.timeframe <= inputs.mortgageTerm,
+        message: 'You stay past the end of the loan, so the last years have no mortgage payment'
+    },
+    {
+        fields: ['rentalIncome', 'monthlyRent'],
+        level: 'warning',
+        isValid: inputs => !(inputs.rentalIncome > inputs.monthlyRent),
+        message: 'Rental income is more than the rent you would pay for a whole place yourself'
+    },
+    {
+        fields: ['rentalIncome', 'rentedShare'],
+        level: 'warning',
+        isValid: inputs => !(inputs.rentalIncome > 0 && inputs.rentedShare === 0),
+        message: 'Set the share of the home rented out, or rent, depreciation and tax won\'t line up'
+    }
+];
+
+function formatRuleLimit(value, locale) {
+    return value.toLocaleString(locale);
+}
+
+/**
+ * Checks inputs against INPUT_RULES and CROSS_FIELD_RULES.
+ * Returns { errors, warnings, isValid }, where errors and warnings are lists of { field, message }.
+ * Only errors make isValid false; warnings are for values that run but look unusual.
+ * Limits in messages are written for the given locale.
+ */
+function validateInputs(inputs, locale = 'en-US') {
+    const errors = [];
+    const warnings = [];
+    
+    Object.keys(INPUT_RULES).forEach(field => {
+        const rule = INPUT_RULES[field];
+        const value = inputs[field];
+        if (rule.when && !rule.when(inputs)) return;
+        
+        if (typeof value !== 'number' || isNaN(value)) {
+            if (!rule.optional) {
+                errors.push({ field: field, message: 'Enter a number' });
+            }
+            return;
+        }
+        
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({ field: field, message: `Must be at least ${formatRuleLimit(rule.min, locale)}` });
+        } else if (rule.max !== undefined && value > rule.max) {
+            errors.push({ field: field, message: `Must be ${formatRuleLimit(rule.max, locale)} or less` });
+        } else if (rule.integer && !Number.isInteger(value)) {
+            errors.push({ field: field, message: `Must be a whole number of ${rule.unit}` });
+        } else if (rule.warnBelow !== undefined && value < rule.warnBelow) {
+            warnings.push({ field: field, message: 'Unusually low - check this is right' });
+        } else if (rule.warnAbove !== undefined && value > rule.warnAbove) {
+            warnings.push({ field: field, message: 'Unusually high - check this is right' });
+        }
+    });
+    
+    CROSS_FIELD_RULES.forEach(rule => {
+        if (rule.fields.some(field => errors.some(error => error.field === field))) return;
+        if (!rule.isValid(inputs)) {
+            (rule.level === 'error' ? errors : warnings).push({ field: rule.fields[0], message: rule.message });
+        }
+    });
+    
+    return {
+        errors: errors,
+        warnings: warnings,
+        isValid: errors.length === 0
+    };
+}
+
+// Bump when a change to the model changes its numbers, so an exported ledger can be traced to the math behind it
+const MODEL_VERSION = '1.1.0';
+
+// Ledger columns that add up over a period, and those read at its end
+const LEDGER_FLOWS = ['rent', 'rentersInsurance', 'mortgagePayment', 'interest', 'principal', 'propertyTax', 'homeInsurance',
+                      'hoaFees', 'pmi', 'utilities', 'maintenance', 'ownershipCost', 'rentalIncome', 'taxBenefit'];
+const LEDGER_BALANCES = ['homeValue', 'loanBalance', 'equity', 'rentingInvestedBalance', 'buyingInvestedBalance',
+                         'totalRentPaid', 'totalOwnershipCost', 'totalRentalIncome', 'totalTaxBenefit'];
+
+function buildCashFlowLedger(inputs, scenario) {
+    // Month-by-month cash flows behind the results, in the same dollars as the results. Rent, ownership costs and
+    // loan figures are monthly; rental income and tax benefits are worked out per year and spread evenly over its months.
+    const buying = scenario.buyingResults;
+    const monthly = [];
+    const totals = { rent: 0, ownershipCost: 0, rentalIncome: 0, taxBenefit: 0 };
+    
+    buying.schedule.slice(0, inputs.timeframe * 12).forEach(row => {
+        const ledgerYear = buying.yearlySchedule[row.year - 1];
+        const deflator = ledgerYear.deflator;
+        const endDeflator = getDeflator(inputs.inflationRate, row.month / 12, inputs.realDollars);
+        
+        const rent = inputs.monthlyRent * Math.pow(1 + inputs.rentIncrease / 100, row.year - 1) / deflator;
+        const rentersInsurance = inputs.rentersInsurance * Math.pow(1 + inputs.inflationRate / 100, row.year - 1) / deflator;
+        const ownershipCost = (row.payment + row.propertyTax + row.homeInsurance + row.hoaFees + row.pmi + row.utilities + row.maintenance) / deflator;
+        const rentalIncome = ledgerYear.netRentalIncome / 12 / deflator;
+        const taxBenefit = ledgerYear.taxBenefit / 12 / deflator;
+        
+        totals.rent += rent + rentersInsurance;
+        totals.ownershipCost += ownershipCost;
+        totals.rentalIncome += rentalIncome;
+        totals.taxBenefit += taxBenefit;
+        
+        monthly.push({
+            month: row.month,
+            year: row.year,
+            rent: rent,
+            rentersInsurance: rentersInsurance,
+            mortgagePayment: row.payment / deflator,
+            interest: row.interest / deflator,
+            principal: row.principal / deflator,
+            propertyTax: row.propertyTax / deflator,
+            homeInsurance: row.homeInsurance / deflator,
+            hoaFees: row.hoaFees / deflator,
+            pmi: row.pmi / deflator,
+            utilities: row.utilities / deflator,
+            maintenance: row.maintenance / deflator,
+            ownershipCost: ownershipCost,
+            rentalIncome: rentalIncome,
+            taxBenefit: taxBenefit,
+            homeValue: row.homeValue / endDeflator,
+            loanBalance: row.balance / endDeflator,
+            equity: row.equity / endDeflator,
+            // Before the capital gains tax owed when each portfolio is sold
+            rentingInvestedBalance: (calculateInvestmentGrowth(inputs.downPayment, inputs.investmentReturn, row.month / 12) +
+                                     buying.portfolios[row.month].rentingBalance) / endDeflator,
+            buyingInvestedBalance: buying.portfolios[row.month].buyingBalance / endDeflator,
+            totalRentPaid: totals.rent,
+            totalOwnershipCost: totals.ownershipCost,
+            totalRentalIncome: totals.rentalIncome,
+            totalTaxBenefit: totals.taxBenefit
+        });
+    });
+    
+    // A year's flows are the sum of its months; balances and running totals are as of its last month
+    const yearly = [];
+    monthly.forEach(row => {
+        const year = yearly[row.year - 1];
+        if (!year) {
+            const firstMonth = Object.assign({}, row);
+            delete firstMonth.month;
+            yearly.push(firstMonth);
+            return;
+        }
+        LEDGER_FLOWS.forEach(key => {
+            year[key] += row[key];
+        });
+        LEDGER_BALANCES.forEach(key => {
+            year[key] = row[key];
+        });
+    });
+    
+    return { monthly: monthly, yearly: yearly };
+}
+
+function buildNetWorthTrajectory(inputs, scenario) {
+    // What each household would hold at the end of each year if it moved out then, in the same dollars as the
+    // results. Both start with the cash the purchase takes (down payment and closing costs) and pay out the same
+    // each month: the renter its rent plus what it invests. Each is left with that, less its net cost from the
+    // summary, so the gap between them is always the buying advantage.
+    // The renter's share is its invested down payment and savings, the deposit coming back, and the closing-cost
+    // cash less the broker fee and deposit. The buyer's is the sale proceeds, its investments and any cash left over.
+    // Investments are after the capital gains tax due when they're sold.
+    const buying = scenario.buyingResults;
+    const depositAmount = inputs.monthlyRent * inputs.securityDeposit;
+    const startingCash = inputs.downPayment + buying.totalClosingCosts;
+    
+    return buying.yearlyTotals.map(buyYear => {
+        const rentYear = scenario.rentLedger[buyYear.year];
+        const outcome = scenario.yearly[buyYear.year];
+        const paidOut = startingCash + rentYear.rent + rentYear.rentersInsurance + buyYear.rentingContributions;
+        
+        const renterNetWorth = paidOut - outcome.rentingWithInvestment;
+        const renterInvestments = inputs.downPayment + buyYear.downPaymentOpportunityCost + buyYear.rentingPortfolio;
+        const deposit = depositAmount / getDeflator(inputs.inflationRate, buyYear.year, inputs.realDollars);
+        
+        const buyerNetWorth = paidOut - outcome.buyingCostWithInvestment;
+        const homeEquity = buyYear.netProceeds;
+        
+        return {
+            year: buyYear.year,
+            homeValue: buyYear.homeValue,
+            sellingCosts: buyYear.sellingCosts,
+            loanBalance: buyYear.remainingBalance,
+            homeSaleTax: buyYear.homeSaleTax,
+            homeEquity: homeEquity,
+            buyerInvestments: buyYear.buyingPortfolio,
+            buyerCash: buyerNetWorth - homeEquity - buyYear.buyingPortfolio,
+            buyerNetWorth: buyerNetWorth,
+            renterInvestments: renterInvestments,
+            deposit: deposit,
+            renterCash: renterNetWorth - renterInvestments - deposit,
+            renterNetWorth: renterNetWorth
+        };
+    });
+}
+
+// Inputs matching the calculator page's defaults. Blank page fields are NaN here, which means "use the fallback".
+const DEFAULT_INPUTS = {
+    // Renting
+    monthlyRent: 2500,
+    securityDeposit: 1,
+    rentersInsurance: 15,
+    brokerFee: 0,
+    rentIncrease: 3,
+    
+    // Buying
+    homePrice: 400000,
+    downPayment: 80000,
+    mortgageTerm: 30,
+    interestRate: 7,
+    loanType: 'fixed',
+    armIndexRate: 4,
+    armMargin: 2.75,
+    armInitialCap: 2,
+    armPeriodicCap: 2,
+    armLifetimeCap: 5,
+    armIndexPath: 'flat',
+    armIndexRise: 0.25,
+    armIndexValues: '',
+    closingCosts: 3,
+    propertyTaxRate: 1.5,
+    homeInsurance: 1200,
+    hoaFees: 0,
+    pmiRate: NaN,
+    creditScore: '740',
+    pmiEarlyRemoval: false,
+    additionalUtilities: 100,
+    maintenanceRate: 1.5,
+    sellingCosts: 6,
+    homeAppreciation: 3,
+    costEscalation: {},
+    extraPrincipal: 0,
+    lumpSums: '',
+    biweeklyPayments: false,
+    
+    // House hacking
+    rentalIncome: 800,
+    rentalIncomeGrowth: NaN,
+    rentalVacancy: 5,
+    landlordExpenses: 50,
+    rentedShare: 25,
+    landValue: 20,
+    
+    // Additional info
+    timeframe: 7,
+    investmentReturn: 7,
+    filingStatus: 'single',
+    taxYear: '2025',
+    taxableIncome: 150000,
+    stateLocalTaxes: 0,
+    otherDeductions: 0,
+    marginalTaxRate: 22,
+    capitalGainsTaxRate: 15,
+    inflationRate: 2.5,
+    investmentMode: 'difference',
+    monthlyInvestmentAmount: 500,
+    
+    // Output basis
+    realDollars: false
+};
+
+function calculateRentVsBuy(inputs) {
+    // Anything left out falls back to the calculator's defaults
+    const scenarioInputs = Object.assign({}, DEFAULT_INPUTS, inputs);
+    const scenario = runScenario(scenarioInputs);
+    const buying = scenario.buyingResults;
+    
+    return {
+        inputs: scenarioInputs,
+        summary: {
+            rentingCost: scenario.rentingCost,
+            buyingCost: buying.totalCost,
+            rentingWithInvestment: scenario.rentingWithInvestment,
+            buyingCostWithInvestment: scenario.buyingCostWithInvestment,
+            savingsWithOpportunityCost: scenario.savingsWithOpportunityCost,
+            isBuyingBetter: scenario.isBuyingBetter,
+            breakEvenYear: scenario.breakEvenYear,
+            monthlyMortgage: buying.monthlyMortgage,
+            netProceeds: buying.netProceeds
+        },
+        // One entry per possible move-out year, 0 through the timeframe
+        yearly: scenario.yearly.map(year => {
+            const buyYear = buying.yearlyTotals[year.year];
+            return Object.assign({}, year, {
+                homeValue: buyYear.homeValue,
+                remainingBalance: buyYear.remainingBalance,
+                netProceeds: buyYear.netProceeds,
+                housingCosts: buyYear.housingCosts,
+                rentalIncome: buyYear.rentalIncome,
+                taxBenefits: buyYear.taxBenefits
+            });
+        }),
+        // Month-by-month loan and ownership costs, and their per-year sums
+        schedule: buying.schedule,
+        yearlySchedule: buying.yearlySchedule,
+        // Every cash flow, balance and running total behind the results, by month and by year
+        ledger: buildCashFlowLedger(scenarioInputs, scenario),
+        // Each household's net worth at the end of each year, 0 through the timeframe
+        netWorth: buildNetWorthTrajectory(scenarioInputs, scenario),
+        modelVersion: MODEL_VERSION,
+        buying: buying
+    };
+}
+
+// Export for use from Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MODEL_VERSION,
+        DEFAULT_INPUTS,
+        INPUT_RULES,
+        calculateRentVsBuy,
+        validateInputs,
+        runScenario,
+        calculateMortgagePayment,
+        buildRateSchedule,
+        buildAmortizationSchedule,
+        summarizeScheduleByYear,
+        calculateRentLedger,
+        calculateRentCost,
+        calculateBuyingCosts,
+        calculateInvestmentGrowth,
+        calculateContributionGrowth,
+        calculateHomeSaleTax,
+        getPmiRate,
+        findBreakEvenYear,
+        comparePrepayment,
+        buildCashFlowLedger,
+        buildNetWorthTrajectory
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Rent vs Buy Regional Presets
+ * Typical local values for the location picker. Data only - figures and sources can be updated here without
+ * touching rent-vs-buy.js.
+ */
+
+// Where each field's figures come from and the period they describe. Shown next to the field when a preset is used.
+const REGIONAL_SOURCES = {
+    propertyTaxRate: {
+        name: 'Census ACS 1-year, median real estate taxes / median home value',
+        vintage: '2023'
+    },
+    homeInsurance: {
+        name: 'NAIC Homeowners Insurance Report, average HO-3 premium (state level)',
+        vintage: '2021'
+    },
+    homeAppreciation: {
+        name: 'FHFA House Price Index, all transactions, 20-year annualized',
+        vintage: '2004-2024'
+    },
+    rentIncrease: {
+        name: 'Census ACS, median gross rent, 10-year annualized',
+        vintage: '2013-2023'
+    },
+    closingCosts: {
+        name: 'ClosingCorp closing cost study, buyer costs including transfer taxes',
+        vintage: '2021'
+    }
+};
+
+// Rates are percentages and homeInsurance is dollars per year, matching the calculator's fields.
+// Figures are rounded.
+const REGIONAL_STATES = {
+    AL: { name: 'Alabama', propertyTaxRate: 0.38, homeInsurance: 1780, homeAppreciation: 3.9, rentIncrease: 4.2, closingCosts: 1.9 },
+    AK: { name: 'Alaska', propertyTaxRate: 1.04, homeInsurance: 1080, homeAppreciation: 2.8, rentIncrease: 2.6, closingCosts: 1.6 },
+    AZ: { name: 'Arizona', propertyTaxRate: 0.45, homeInsurance: 1020, homeAppreciation: 4.9, rentIncrease: 5.6, closingCosts: 1.7 },
+    AR: { name: 'Arkansas', propertyTaxRate: 0.52, homeInsurance: 1640, homeAppreciation: 3.3, rentIncrease: 4.0, closingCosts: 1.9 },
+    CA: { name: 'California', propertyTaxRate: 0.71, homeInsurance: 1380, homeAppreciation: 4.6, rentIncrease: 5.2, closingCosts: 1.2 },
+    CO: { name: 'Colorado', propertyTaxRate: 0.49, homeInsurance: 1910, homeAppreciation: 5.5, rentIncrease: 5.6, closingCosts: 1.0 },
+    CT: { name: 'Connecticut', propertyTaxRate: 1.78, homeInsurance: 1600, homeAppreciation: 2.4, rentIncrease: 3.9, closingCosts: 2.0 },
+    DE: { name: 'Delaware', propertyTaxRate: 0.51, homeInsurance: 1010, homeAppreciation: 3.3, rentIncrease: 4.5, closingCosts: 3.5 },
+    DC: { name: 'District of Columbia', propertyTaxRate: 0.57, homeInsurance: 1450, homeAppreciation: 4.7, rentIncrease: 3.6, closingCosts: 4.0 },
+    FL: { name: 'Florida', propertyTaxRate: 0.79, homeInsurance: 2170, homeAppreciation: 5.0, rentIncrease: 5.8, closingCosts: 2.5 },
+    GA: { name: 'Georgia', propertyTaxRate: 0.83, homeInsurance: 1570, homeAppreciation: 4.1, rentIncrease: 5.2, closingCosts: 1.7 },
+    HI: { name: 'Hawaii', propertyTaxRate: 0.27, homeInsurance: 1220, homeAppreciation: 4.9, rentIncrease: 4.1, closingCosts: 1.4 },
+    ID: { name: 'Idaho', propertyTaxRate: 0.47, homeInsurance: 860, homeAppreciation: 5.8, rentIncrease: 6.2, closingCosts: 1.5 },
+    IL: { name: 'Illinois', propertyTaxRate: 1.95, homeInsurance: 1350, homeAppreciation: 2.6, rentIncrease: 3.8, closingCosts: 2.0 },
+    IN: { name: 'Indiana', propertyTaxRate: 0.75, homeInsurance: 1170, homeAppreciation: 3.7, rentIncrease: 4.3, closingCosts: 1.0 },
+    IA: { name: 'Iowa', propertyTaxRate: 1.43, homeInsurance: 1140, homeAppreciation: 3.5, rentIncrease: 3.7, closingCosts: 1.0 },
+    KS: { name: 'Kansas', propertyTaxRate: 1.26, homeInsurance: 2050, homeAppreciation: 3.6, rentIncrease: 3.6, closingCosts: 1.1 },
+    KY: { name: 'Kentucky', propertyTaxRate: 0.75, homeInsurance: 1450, homeAppreciation: 3.6, rentIncrease: 4.1, closingCosts: 1.3 },
+    LA: { name: 'Louisiana', propertyTaxRate: 0.51, homeInsurance: 2260, homeAppreciation: 3.1, rentIncrease: 3.9, closingCosts: 2.0 },
+    ME: { name: 'Maine', propertyTaxRate: 1.02, homeInsurance: 1020, homeAppreciation: 4.4, rentIncrease: 4.6, closingCosts: 1.4 },
+    MD: { name: 'Maryland', propertyTaxRate: 0.97, homeInsurance: 1260, homeAppreciation: 3.3, rentIncrease: 3.9, closingCosts: 3.5 },
+    MA: { name: 'Massachusetts', propertyTaxRate: 1.04, homeInsurance: 1570, homeAppreciation: 4.3, rentIncrease: 4.8, closingCosts: 1.5 },
+    MI: { name: 'Michigan', propertyTaxRate: 1.24, homeInsurance: 1040, homeAppreciation: 3.2, rentIncrease: 3.9, closingCosts: 1.3 },
+    MN: { name: 'Minnesota', propertyTaxRate: 1.02, homeInsurance: 1740, homeAppreciation: 3.7, rentIncrease: 3.8, closingCosts: 1.5 },
+    MS: { name: 'Mississippi', propertyTaxRate: 0.67, homeInsurance: 1720, homeAppreciation: 3.0, rentIncrease: 3.6, closingCosts: 1.7 },
+    MO: { name: 'Missouri', propertyTaxRate: 0.88, homeInsurance: 1700, homeAppreciation: 3.7, rentIncrease: 3.9, closingCosts: 1.0 },
+    MT: { name: 'Montana', propertyTaxRate: 0.68, homeInsurance: 1510, homeAppreciation: 5.8, rentIncrease: 5.5, closingCosts: 1.3 },
+    NE: { name: 'Nebraska', propertyTaxRate: 1.54, homeInsurance: 2110, homeAppreciation: 4.0, rentIncrease: 4.0, closingCosts: 1.2 },
+    NV: { name: 'Nevada', propertyTaxRate: 0.49, homeInsurance: 920, homeAppreciation: 4.0, rentIncrease: 5.4, closingCosts: 1.7 },
+    NH: { name: 'New Hampshire', propertyTaxRate: 1.61, homeInsurance: 1030, homeAppreciation: 4.2, rentIncrease: 4.9, closingCosts: 2.0 },
+    NJ: { name: 'New Jersey', propertyTaxRate: 2.08, homeInsurance: 1190, homeAppreciation: 3.1, rentIncrease: 4.3, closingCosts: 2.2 },
+    NM: { name: 'New Mexico', propertyTaxRate: 0.67, homeInsurance: 1340, homeAppreciation: 3.7, rentIncrease: 4.2, closingCosts: 1.4 },
+    NY: { name: 'New York', propertyTaxRate: 1.54, homeInsurance: 1430, homeAppreciation: 3.6, rentIncrease: 4.4, closingCosts: 3.0 },
+    NC: { name: 'North Carolina', propertyTaxRate: 0.70, homeInsurance: 1450, homeAppreciation: 4.3, rentIncrease: 5.1, closingCosts: 1.2 },
+    ND: { name: 'North Dakota', propertyTaxRate: 0.92, homeInsurance: 1540, homeAppreciation: 4.7, rentIncrease: 3.0, closingCosts: 1.0 },
+    OH: { name: 'Ohio', propertyTaxRate: 1.35, homeInsurance: 1050, homeAppreciation: 3.3, rentIncrease: 3.9, closingCosts: 1.5 },
+    OK: { name: 'Oklahoma', propertyTaxRate: 0.82, homeInsurance: 2560, homeAppreciation: 3.8, rentIncrease: 4.2, closingCosts: 1.6 },
+    OR: { name: 'Oregon', propertyTaxRate: 0.82, homeInsurance: 860, homeAppreciation: 5.5, rentIncrease: 5.3, closingCosts: 1.5 },
+    PA: { name: 'Pennsylvania', propertyTaxRate: 1.41, homeInsurance: 1060, homeAppreciation: 3.6, rentIncrease: 4.1, closingCosts: 3.1 },
+    RI: { name: 'Rhode Island', propertyTaxRate: 1.32, homeInsurance: 1580, homeAppreciation: 3.8, rentIncrease: 4.8, closingCosts: 1.8 },
+    SC: { name: 'South Carolina', propertyTaxRate: 0.51, homeInsurance: 1440, homeAppreciation: 4.4, rentIncrease: 5.2, closingCosts: 1.6 },
+    SD: { name: 'South Dakota', propertyTaxRate: 1.08, homeInsurance: 1720, homeAppreciation: 4.6, rentIncrease: 4.2, closingCosts: 1.0 },
+    TN: { name: 'Tennessee', propertyTaxRate: 0.55, homeInsurance: 1520, homeAppreciation: 5.0, rentIncrease: 5.2, closingCosts: 1.5 },
+    TX: { name: 'Texas', propertyTaxRate: 1.47, homeInsurance: 2180, homeAppreciation: 4.8, rentIncrease: 4.4, closingCosts: 1.8 },
+    UT: { name: 'Utah', propertyTaxRate: 0.52, homeInsurance: 800, homeAppreciation: 5.7, rentIncrease: 5.8, closingCosts: 1.2 },
+    VT: { name: 'Vermont', propertyTaxRate: 1.61, homeInsurance: 970, homeAppreciation: 3.9, rentIncrease: 4.1, closingCosts: 2.2 },
+    VA: { name: 'Virginia', propertyTaxRate: 0.80, homeInsurance: 1170, homeAppreciation: 3.8, rentIncrease: 4.3, closingCosts: 2.0 },
+    WA: { name: 'Washington', propertyTaxRate: 0.81, homeInsurance: 1030, homeAppreciation: 5.9, rentIncrease: 5.7, closingCosts: 2.1 },
+    WV: { name: 'West Virginia', propertyTaxRate: 0.55, homeInsurance: 1010, homeAppreciation: 2.8, rentIncrease: 3.7, closingCosts: 1.4 },
+    WI: { name: 'Wisconsin', propertyTaxRate: 1.51, homeInsurance: 910, homeAppreciation: 3.6, rentIncrease: 3.9, closingCosts: 1.1 },
+    WY: { name: 'Wyoming', propertyTaxRate: 0.55, homeInsurance: 1060, homeAppreciation: 4.0, rentIncrease: 3.5, closingCosts: 0.9 }
+};
+
+// Metro areas list only what differs from their state; anything left out comes from the state entry
+const REGIONAL_METROS = {
+    'new-york': { name: 'New York-Newark-Jersey City', state: 'NY', propertyTaxRate: 1.40, homeAppreciation: 3.9, rentIncrease: 4.3 },
+    'los-angeles': { name: 'Los Angeles-Long Beach-Anaheim', state: 'CA', propertyTaxRate: 0.73, homeAppreciation: 5.0, rentIncrease: 4.9 },
+    'chicago': { name: 'Chicago-Naperville-Elgin', state: 'IL', propertyTaxRate: 2.07, homeAppreciation: 2.4, rentIncrease: 3.6 },
+    'dallas': { name: 'Dallas-Fort Worth-Arlington', state: 'TX', propertyTaxRate: 1.63, homeAppreciation: 5.1, rentIncrease: 4.4 },
+    'houston': { name: 'Houston-The Woodlands-Sugar Land', state: 'TX', propertyTaxRate: 1.77, homeAppreciation: 4.6, rentIncrease: 3.7 },
+    'washington': { name: 'Washington-Arlington-Alexandria', state: 'DC', propertyTaxRate: 0.92, homeAppreciation: 3.6, rentIncrease: 3.6 },
+    'philadelphia': { name: 'Philadelphia-Camden-Wilmington', state: 'PA', propertyTaxRate: 1.48, homeAppreciation: 3.8, rentIncrease: 4.1 },
+    'miami': { name: 'Miami-Fort Lauderdale-West Palm Beach', state: 'FL', propertyTaxRate: 0.88, homeAppreciation: 5.6, rentIncrease: 6.0 },
+    'atlanta': { name: 'Atlanta-Sandy Springs-Alpharetta', state: 'GA', propertyTaxRate: 0.89, homeAppreciation: 4.3, rentIncrease: 5.3 },
+    'boston': { name: 'Boston-Cambridge-Newton', state: 'MA', propertyTaxRate: 1.07, homeAppreciation: 4.6, rentIncrease: 4.6 },
+    'phoenix': { name: 'Phoenix-Mesa-Chandler', state: 'AZ', propertyTaxRate: 0.48, homeAppreciation: 5.2, rentIncrease: 6.1 },
+    'san-francisco': { name: 'San Francisco-Oakland-Berkeley', state: 'CA', propertyTaxRate: 0.72, homeAppreciation: 5.1, rentIncrease: 4.6 },
+    'seattle': { name: 'Seattle-Tacoma-Bellevue', state: 'WA', propertyTaxRate: 0.87, homeAppreciation: 6.2, rentIncrease: 5.4 },
+    'denver': { name: 'Denver-Aurora-Lakewood', state: 'CO', propertyTaxRate: 0.50, homeAppreciation: 5.8, rentIncrease: 5.3 },
+    'austin': { name: 'Austin-Round Rock-Georgetown', state: 'TX', propertyTaxRate: 1.60, homeAppreciation: 6.1, rentIncrease: 4.6 }
+};
+
+// Export for use from Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REGIONAL_SOURCES,
+        REGIONAL_STATES,
+        REGIONAL_METROS
+    };
+}
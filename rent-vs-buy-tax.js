@@ -0,0 +1,178 @@
+/**
+ * Rent vs Buy Tax Module
+ * Federal income tax tables by tax year and the itemized-deduction rules used for the homeowner's tax benefit
+ */
+
+// One entry per tax year. Adding a year means adding data here - nothing below reads a year directly.
+// Bracket entries are [upper limit of taxable income, rate %]; the last bracket has no limit.
+const TAX_YEARS = {
+    2024: {
+        standardDeduction: {
+            single: 14600,
+            marriedJoint: 29200,
+            marriedSeparate: 14600,
+            headOfHousehold: 21900
+        },
+        brackets: {
+            single: [[11600, 10], [47150, 12], [100525, 22], [191950, 24], [243725, 32], [609350, 35], [Infinity, 37]],
+            marriedJoint: [[23200, 10], [94300, 12], [201050, 22], [383900, 24], [487450, 32], [731200, 35], [Infinity, 37]],
+            marriedSeparate: [[11600, 10], [47150, 12], [100525, 22], [191950, 24], [243725, 32], [365600, 35], [Infinity, 37]],
+            headOfHousehold: [[16550, 10], [63100, 12], [100500, 22], [191950, 24], [243700, 32], [609350, 35], [Infinity, 37]]
+        },
+        // State and local tax deduction cap, reduced above an income threshold down to a floor
+        saltCap: {
+            single: { cap: 10000 },
+            marriedJoint: { cap: 10000 },
+            marriedSeparate: { cap: 5000 },
+            headOfHousehold: { cap: 10000 }
+        },
+        // Interest is deductible on acquisition debt up to this amount
+        mortgageDebtLimit: {
+            single: 750000,
+            marriedJoint: 750000,
+            marriedSeparate: 375000,
+            headOfHousehold: 750000
+        }
+    },
+    2025: {
+        standardDeduction: {
+            single: 15750,
+            marriedJoint: 31500,
+            marriedSeparate: 15750,
+            headOfHousehold: 23625
+        },
+        brackets: {
+            single: [[11925, 10], [48475, 12], [103350, 22], [197300, 24], [250525, 32], [626350, 35], [Infinity, 37]],
+            marriedJoint: [[23850, 10], [96950, 12], [206700, 22], [394600, 24], [501050, 32], [751600, 35], [Infinity, 37]],
+            marriedSeparate: [[11925, 10], [48475, 12], [103350, 22], [197300, 24], [250525, 32], [375800, 35], [Infinity, 37]],
+            headOfHousehold: [[17000, 10], [64850, 12], [103350, 22], [197300, 24], [250500, 32], [626350, 35], [Infinity, 37]]
+        },
+        saltCap: {
+            single: { cap: 40000, phaseoutStart: 500000, phaseoutRate: 30, floor: 10000 },
+            marriedJoint: { cap: 40000, phaseoutStart: 500000, phaseoutRate: 30, floor: 10000 },
+            marriedSeparate: { cap: 20000, phaseoutStart: 250000, phaseoutRate: 30, floor: 5000 },
+            headOfHousehold: { cap: 40000, phaseoutStart: 500000, phaseoutRate: 30, floor: 10000 }
+        },
+        mortgageDebtLimit: {
+            single: 750000,
+            marriedJoint: 750000,
+            marriedSeparate: 375000,
+            headOfHousehold: 750000
+        }
+    }
+};
+
+const LATEST_TAX_YEAR = Math.max(...Object.keys(TAX_YEARS).map(Number));
+
+function getTaxYear(taxYear) {
+    return TAX_YEARS[taxYear] || TAX_YEARS[LATEST_TAX_YEAR];
+}
+
+function getStandardDeduction(filingStatus, taxYear) {
+    const standardDeductions = getTaxYear(taxYear).standardDeduction;
+    return standardDeductions[filingStatus] || standardDeductions.single;
+}
+
+function getTaxBrackets(filingStatus, taxYear) {
+    const brackets = getTaxYear(taxYear).brackets;
+    return brackets[filingStatus] || brackets.single;
+}
+
+function getSaltCap(filingStatus, taxYear, income) {
+    const saltCaps = getTaxYear(taxYear).saltCap;
+    const rule = saltCaps[filingStatus] || saltCaps.single;
+    if (!rule.phaseoutStart || !(income > rule.phaseoutStart)) {
+        return rule.cap;
+    }
+
+    const reduction = (income - rule.phaseoutStart) * (rule.phaseoutRate / 100);
+    return Math.max(rule.floor, rule.cap - reduction);
+}
+
+function getMortgageDebtLimit(filingStatus, taxYear) {
+    const limits = getTaxYear(taxYear).mortgageDebtLimit;
+    return limits[filingStatus] || limits.single;
+}
+
+function calculateIncomeTax(taxableIncome, brackets, indexFactor = 1) {
+    // Progressive tax, with bracket thresholds scaled for years after the table's tax year
+    let tax = 0;
+    let lowerLimit = 0;
+
+    for (const [upperLimit, rate] of brackets) {
+        const scaledLimit = upperLimit * indexFactor;
+        if (taxableIncome <= lowerLimit) break;
+        tax += (Math.min(taxableIncome, scaledLimit) - lowerLimit) * (rate / 100);
+        lowerLimit = scaledLimit;
+    }
+
+    return tax;
+}
+
+function getMarginalRate(taxableIncome, brackets, indexFactor = 1) {
+    const bracket = brackets.find(([upperLimit]) => taxableIncome < upperLimit * indexFactor);
+    return bracket ? bracket[1] : brackets[brackets.length - 1][1];
+}
+
+/**
+ * Tax saved in one year by owning rather than renting.
+ * The renter claims the larger of the standard deduction and their own itemized deductions (capped state and
+ * local taxes plus other deductions). The owner adds deductible mortgage interest and property tax, and itemizes
+ * only when that beats the standard deduction. Without a taxable income, the old flat marginal rate is used.
+ *
+ * Brackets and the standard deduction are indexed by indexFactor (inflation since the tax year); the SALT cap
+ * and mortgage debt limit are fixed in nominal dollars, as in the tax code.
+ */
+function calculateHomeTaxBenefit(options) {
+    const { filingStatus, taxYear, taxableIncome, marginalTaxRate, mortgageInterest, loanBalance,
+            propertyTax, stateLocalTaxes, otherDeductions, indexFactor } = options;
+
+    const standardDeduction = getStandardDeduction(filingStatus, taxYear) * indexFactor;
+    const saltCap = getSaltCap(filingStatus, taxYear, taxableIncome);
+
+    // Interest on debt above the limit isn't deductible
+    const debtLimit = getMortgageDebtLimit(filingStatus, taxYear);
+    const deductibleShare = loanBalance > debtLimit ? debtLimit / loanBalance : 1;
+    const deductibleInterest = mortgageInterest * deductibleShare;
+
+    const renterSalt = Math.min(stateLocalTaxes, saltCap);
+    const ownerSalt = Math.min(stateLocalTaxes + propertyTax, saltCap);
+    const renterDeduction = Math.max(standardDeduction, renterSalt + otherDeductions);
+    const ownerItemized = deductibleInterest + ownerSalt + otherDeductions;
+    const ownerDeduction = Math.max(standardDeduction, ownerItemized);
+
+    let taxBenefit;
+    if (isNaN(taxableIncome)) {
+        taxBenefit = (ownerDeduction - renterDeduction) * (marginalTaxRate / 100);
+    } else {
+        const brackets = getTaxBrackets(filingStatus, taxYear);
+        const renterTax = calculateIncomeTax(Math.max(0, taxableIncome - renterDeduction), brackets, indexFactor);
+        const ownerTax = calculateIncomeTax(Math.max(0, taxableIncome - ownerDeduction), brackets, indexFactor);
+        taxBenefit = renterTax - ownerTax;
+    }
+
+    return {
+        standardDeduction: standardDeduction,
+        deductibleInterest: deductibleInterest,
+        saltDeduction: ownerSalt,
+        itemizedDeductions: ownerItemized,
+        itemizes: ownerItemized > standardDeduction,
+        taxBenefit: taxBenefit
+    };
+}
+
+// Export for use from Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TAX_YEARS,
+        LATEST_TAX_YEAR,
+        getTaxYear,
+        getStandardDeduction,
+        getTaxBrackets,
+        getSaltCap,
+        getMortgageDebtLimit,
+        calculateIncomeTax,
+        getMarginalRate,
+        calculateHomeTaxBenefit
+    };
+}
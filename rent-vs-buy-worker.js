@@ -0,0 +1,151 @@
+/**
+ * Rent vs Buy Monte Carlo Worker
+ * Re-runs the deterministic model from rent-vs-buy-engine.js over thousands of simulated rate paths
+ */
+
+importScripts('rent-vs-buy-tax.js', 'rent-vs-buy-engine.js');
+
+// Rates that vary between runs, in the order used by RATE_CORRELATIONS
+const SIMULATED_RATES = ['homeAppreciation', 'investmentReturn', 'rentIncrease', 'inflationRate'];
+
+// Correlation between yearly shocks to each rate (rows/columns follow SIMULATED_RATES)
+const RATE_CORRELATIONS = [
+    [1.0, 0.2, 0.6, 0.4],   // Home prices move with rents and, more loosely, inflation
+    [0.2, 1.0, 0.1, -0.1],  // Stock returns are nearly independent of housing
+    [0.6, 0.1, 1.0, 0.5],   // Rents track home prices and inflation
+    [0.4, -0.1, 0.5, 1.0]
+];
+
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Lower-triangular Cholesky factor of a correlation matrix
+ */
+function choleskyDecompose(matrix) {
+    const size = matrix.length;
+    const lower = matrix.map(() => new Array(size).fill(0));
+    
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 0)) : sum / lower[j][j];
+        }
+    }
+    
+    return lower;
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function standardNormal() {
+    let u = 0;
+    while (u === 0) {
+        u = Math.random();
+    }
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+/**
+ * Draw one correlated path of yearly rates (in %) for every simulated input
+ */
+function drawRatePath(means, volatilities, years, cholesky) {
+    const path = SIMULATED_RATES.map(() => []);
+    
+    for (let year = 0; year < years; year++) {
+        const shocks = SIMULATED_RATES.map(() => standardNormal());
+        
+        SIMULATED_RATES.forEach((rate, i) => {
+            let correlatedShock = 0;
+            for (let k = 0; k <= i; k++) {
+                correlatedShock += cholesky[i][k] * shocks[k];
+            }
+            // A rate can't fall below -100% in any single year
+            path[i].push(Math.max(means[rate] + volatilities[rate] * correlatedShock, -99));
+        });
+    }
+    
+    return path;
+}
+
+/**
+ * Constant yearly rate that compounds to the same total as the first `years` of a path
+ */
+function effectiveRate(yearlyRates, years) {
+    let growth = 1;
+    for (let year = 0; year < years; year++) {
+        growth *= 1 + yearlyRates[year] / 100;
+    }
+    return (Math.pow(growth, 1 / years) - 1) * 100;
+}
+
+function percentile(sortedValues, fraction) {
+    const index = (sortedValues.length - 1) * fraction;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (index - lower);
+}
+
+function runSimulation(inputs, volatilities, runs) {
+    const cholesky = choleskyDecompose(RATE_CORRELATIONS);
+    const timeframe = inputs.timeframe;
+    
+    // outcomes[year - 1][run] = buying advantage if you sell after that many years
+    const outcomes = [];
+    for (let year = 1; year <= timeframe; year++) {
+        outcomes.push(new Array(runs));
+    }
+    
+    for (let run = 0; run < runs; run++) {
+        const path = drawRatePath(inputs, volatilities, timeframe, cholesky);
+        
+        for (let year = 1; year <= timeframe; year++) {
+            // Invested balances grow by each year's sampled return, so a bad run of early years costs more than
+            // the same years late on. The other rates reach the model as the constant rate with the same total.
+            const scenario = Object.assign({}, inputs, {
+                timeframe: year,
+                investmentReturnPath: path[SIMULATED_RATES.indexOf('investmentReturn')]
+            });
+            SIMULATED_RATES.forEach((rate, i) => {
+                scenario[rate] = effectiveRate(path[i], year);
+            });
+            
+            outcomes[year - 1][run] = runScenario(scenario).savingsWithOpportunityCost;
+        }
+        
+        if ((run + 1) % PROGRESS_INTERVAL === 0) {
+            self.postMessage({ type: 'progress', completed: run + 1, runs: runs });
+        }
+    }
+    
+    const yearly = outcomes.map((values, index) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return {
+            year: index + 1,
+            p10: percentile(sorted, 0.1),
+            p50: percentile(sorted, 0.5),
+            p90: percentile(sorted, 0.9),
+            probabilityBuyingWins: values.filter(value => value > 0).length / runs
+        };
+    });
+    
+    return {
+        type: 'result',
+        runs: runs,
+        yearly: yearly,
+        final: yearly[yearly.length - 1]
+    };
+}
+
+self.onmessage = function(event) {
+    const { inputs, volatilities, runs } = event.data;
+    
+    try {
+        self.postMessage(runSimulation(inputs, volatilities, runs));
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -1,265 +1,221 @@
-function calculateMortgagePayment(principal, rate, years) {
-    const monthlyRate = rate / 100 / 12;
-    const numPayments = years * 12;
+function readInputs(getValue = (id) => getFieldValue(document.getElementById(id)), parseNumber = parseLocaleNumber) {
+    const numberValue = (id) => parseNumber(getValue(id));
     
-    if (monthlyRate === 0) {
-        return principal / numPayments;
-    }
-    
-    const monthlyPayment = principal * 
-        (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-        (Math.pow(1 + monthlyRate, numPayments) - 1);
+    // Cost escalation - blank fields fall back to the defaults in calculateBuyingCosts
+    const costEscalation = {};
+    const escalationFields = {
+        propertyTax: 'propertyTaxIncrease',
+        homeInsurance: 'insuranceIncrease',
+        hoaFees: 'hoaIncrease',
+        utilities: 'utilitiesIncrease',
+        maintenance: 'maintenanceIncrease'
+    };
+    Object.keys(escalationFields).forEach(key => {
+        const rate = numberValue(escalationFields[key]);
+        if (!isNaN(rate)) {
+            costEscalation[key] = rate;
+        }
+    });
     
-    return monthlyPayment;
+    return {
+        // Renting
+        monthlyRent: numberValue('monthlyRent'),
+        securityDeposit: numberValue('securityDeposit'),
+        rentersInsurance: numberValue('rentersInsurance'),
+        brokerFee: numberValue('brokerFee'),
+        rentIncrease: numberValue('rentIncrease'),
+        
+        // Buying
+        homePrice: numberValue('homePrice'),
+        downPayment: numberValue('downPayment'),
+        mortgageTerm: numberValue('mortgageTerm'),
+        interestRate: numberValue('interestRate'),
+        loanType: getValue('loanType'),
+        armIndexRate: numberValue('armIndexRate'),
+        armMargin: numberValue('armMargin'),
+        armInitialCap: numberValue('armInitialCap'),
+        armPeriodicCap: numberValue('armPeriodicCap'),
+        armLifetimeCap: numberValue('armLifetimeCap'),
+        armIndexPath: getValue('armIndexPath'),
+        armIndexRise: numberValue('armIndexRise'),
+        armIndexValues: getValue('armIndexValues'),
+        closingCosts: numberValue('closingCosts'),
+        propertyTaxRate: numberValue('propertyTaxRate'),
+        homeInsurance: numberValue('homeInsurance'),
+        hoaFees: numberValue('hoaFees'),
+        pmiRate: numberValue('pmiRate'),
+        creditScore: getValue('creditScore'),
+        pmiEarlyRemoval: getValue('pmiEarlyRemoval') === '1',
+        additionalUtilities: numberValue('additionalUtilities'),
+        maintenanceRate: numberValue('maintenanceRate'),
+        sellingCosts: numberValue('sellingCosts'),
+        homeAppreciation: numberValue('homeAppreciation'),
+        costEscalation: costEscalation,
+        extraPrincipal: numberValue('extraPrincipal'),
+        lumpSums: getValue('lumpSums'),
+        biweeklyPayments: getValue('biweeklyPayments') === '1',
+        
+        // House hacking
+        rentalIncome: numberValue('rentalIncome'),
+        rentalIncomeGrowth: numberValue('rentalIncomeGrowth'),
+        rentalVacancy: numberValue('rentalVacancy'),
+        landlordExpenses: numberValue('landlordExpenses'),
+        rentedShare: numberValue('rentedShare'),
+        landValue: numberValue('landValue'),
+        
+        // Additional info
+        timeframe: numberValue('timeframe'),
+        investmentReturn: numberValue('investmentReturn'),
+        filingStatus: getValue('filingStatus'),
+        taxYear: getValue('taxYear'),
+        taxableIncome: numberValue('taxableIncome'),
+        stateLocalTaxes: numberValue('stateLocalTaxes'),
+        otherDeductions: numberValue('otherDeductions'),
+        marginalTaxRate: numberValue('marginalTaxRate'),
+        capitalGainsTaxRate: numberValue('capitalGainsTaxRate'),
+        inflationRate: numberValue('inflationRate'),
+        investmentMode: getValue('investmentMode'),
+        monthlyInvestmentAmount: numberValue('monthlyInvestmentAmount'),
+        
+        // Output basis
+        realDollars: getValue('realDollars') === '1'
+    };
 }
 
-function calculateHomeValue(initialPrice, appreciationRate, years) {
-    return initialPrice * Math.pow(1 + appreciationRate / 100, years);
+function getFieldLabel(field) {
+    const label = document.querySelector(`label[for="${field}"]`);
+    return label ? label.textContent.trim() : field;
 }
 
-function calculateRentCost(initialRent, increaseRate, years, securityDeposit, rentersInsurance, brokerFee, inflationRate) {
-    let totalCost = 0;
-    let currentRent = initialRent;
-    let currentInsurance = rentersInsurance;
-    
-    // Initial costs
-    const securityDepositAmount = initialRent * securityDeposit;
-    totalCost += securityDepositAmount; // Security deposit (will be returned at end, so net effect is 0)
-    totalCost += brokerFee; // One-time broker fee
+function showValidation(validation) {
+    // Clear what the last check showed
+    document.querySelectorAll('.field-message').forEach(message => message.remove());
+    document.querySelectorAll('[aria-invalid]').forEach(input => {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+    });
     
-    for (let year = 1; year <= years; year++) {
-        // Add rent for the year
-        totalCost += currentRent * 12;
+    // One message per field, errors ahead of warnings
+    const shownFields = [];
+    validation.errors.concat(validation.warnings).forEach(item => {
+        const input = document.getElementById(item.field);
+        if (!input || shownFields.includes(item.field)) return;
+        shownFields.push(item.field);
         
-        // Add renter's insurance for the year (adjusted for inflation)
-        totalCost += currentInsurance * 12;
+        const isError = validation.errors.includes(item);
+        const message = document.createElement('p');
+        message.id = `${item.field}-message`;
+        message.className = `field-message ${isError ? 'field-error' : 'field-warning'}`;
+        message.textContent = item.message;
+        input.closest('.input-group').appendChild(message);
+        input.setAttribute('aria-describedby', message.id);
         
-        // Increase rent and insurance for next year
-        currentRent = currentRent * (1 + increaseRate / 100);
-        currentInsurance = currentInsurance * (1 + inflationRate / 100);
-    }
-    
-    // Subtract security deposit return (assuming you get it back)
-    totalCost -= securityDepositAmount;
+        if (isError) {
+            input.setAttribute('aria-invalid', 'true');
+            // Open a collapsed options panel so the error can be seen
+            const panel = input.closest('.hidden-options');
+            if (panel && !panel.classList.contains('show')) {
+                toggleOptions(panel.id);
+            }
+        }
+    });
     
-    return totalCost;
+    // Screen readers hear one summary rather than every field
+    const describe = (items) => items.map(item => getFieldLabel(item.field)).join(', ');
+    let summary = '';
+    if (validation.errors.length > 0) {
+        summary = `Fix ${validation.errors.length === 1 ? 'this field' : `these ${validation.errors.length} fields`} to see results: ${describe(validation.errors)}`;
+    } else if (validation.warnings.length > 0) {
+        summary = `Check ${validation.warnings.length === 1 ? 'this unusual value' : 'these unusual values'}: ${describe(validation.warnings)}`;
+    }
+    document.getElementById('validationSummary').textContent = summary;
 }
 
-function calculateInvestmentGrowth(principal, rate, years) {
-    return principal * Math.pow(1 + rate / 100, years);
+function checkInputs(inputs) {
+    // Shows any problems and says whether the inputs can be run
+    const validation = validateInputs(inputs, getLocale());
+    showValidation(validation);
+    return validation.isValid;
 }
 
-function getStandardDeduction(filingStatus) {
-    // 2024 standard deduction amounts
-    const standardDeductions = {
-        'single': 14600,
-        'marriedJoint': 29200,
-        'marriedSeparate': 14600,
-        'headOfHousehold': 21900
-    };
-    return standardDeductions[filingStatus] || 14600;
-}
-
-function calculateBuyingCosts(homePrice, downPayment, interestRate, mortgageTerm, 
-                            homeAppreciation, rentalIncome, timeframe, investmentReturn, 
-                            propertyTaxRate, homeInsurance, hoaFees, maintenanceRate, closingCosts,
-                            pmi, additionalUtilities, sellingCosts, marginalTaxRate, inflationRate, monthlyRent, filingStatus, monthlyInvestmentAmount) {
-    const loanAmount = homePrice - downPayment;
-    const monthlyMortgage = calculateMortgagePayment(loanAmount, interestRate, mortgageTerm);
-    const monthlyRentalIncome = rentalIncome || 0;
-    
-    // Calculate monthly homeownership costs
-    const annualPropertyTax = homePrice * (propertyTaxRate / 100);
-    const monthlyPropertyTax = annualPropertyTax / 12;
-    const monthlyHomeInsurance = homeInsurance / 12;
-    const monthlyHoaFees = hoaFees || 0;
-    const monthlyPmi = pmi || 0;
-    const monthlyAdditionalUtilities = additionalUtilities || 0;
-    const annualMaintenance = (homePrice * maintenanceRate) / 100;
-    const monthlyMaintenance = annualMaintenance / 12;
-    const totalMonthlyHousingCost = monthlyMortgage + monthlyPropertyTax + monthlyHomeInsurance + monthlyHoaFees + monthlyPmi + monthlyAdditionalUtilities + monthlyMaintenance;
-    
-    // Calculate total costs over the timeframe (with inflation adjustments)
-    const totalMortgagePayments = monthlyMortgage * 12 * timeframe;
-    const totalPropertyTax = annualPropertyTax * timeframe; // Could be inflation adjusted
-    const totalHomeInsurance = homeInsurance * timeframe; // Could be inflation adjusted
-    const totalHoaFees = monthlyHoaFees * 12 * timeframe; // Could be inflation adjusted
-    const totalPmi = monthlyPmi * 12 * timeframe;
-    const totalAdditionalUtilities = monthlyAdditionalUtilities * 12 * timeframe; // Could be inflation adjusted
-    const totalMaintenance = annualMaintenance * timeframe; // Could be inflation adjusted
-    const totalHousingCosts = totalMortgagePayments + totalPropertyTax + totalHomeInsurance + totalHoaFees + totalPmi + totalAdditionalUtilities + totalMaintenance;
-    
-    // Calculate total rental income received
-    const totalRentalIncome = monthlyRentalIncome * 12 * timeframe;
-    
-    // Calculate home value after appreciation
-    const futureHomeValue = calculateHomeValue(homePrice, homeAppreciation, timeframe);
-    
-    // Calculate selling costs (configurable realtor fee)
-    const totalSellingCosts = futureHomeValue * (sellingCosts / 100);
-    
-    // Calculate tax benefits (mortgage interest and property tax deductions)
-    const annualMortgageInterest = loanAmount * (interestRate / 100); // Simplified - should decrease over time
-    const standardDeduction = getStandardDeduction(filingStatus);
-    const itemizedDeductions = annualMortgageInterest + annualPropertyTax;
-    
-    // Only get tax benefits if itemizing exceeds standard deduction
-    let annualTaxBenefits = 0;
-    if (itemizedDeductions > standardDeduction) {
-        // The tax benefit is only on the amount above the standard deduction
-        const additionalDeductions = itemizedDeductions - standardDeduction;
-        annualTaxBenefits = additionalDeductions * (marginalTaxRate / 100);
-    }
-    const totalTaxBenefits = annualTaxBenefits * timeframe;
-    
-    // Calculate remaining loan balance
-    const monthlyRate = interestRate / 100 / 12;
-    const totalPayments = mortgageTerm * 12;
-    const paymentsMade = timeframe * 12;
-    
-    let remainingBalance = 0;
-    if (paymentsMade < totalPayments) {
-        remainingBalance = loanAmount * 
-            (Math.pow(1 + monthlyRate, totalPayments) - Math.pow(1 + monthlyRate, paymentsMade)) /
-            (Math.pow(1 + monthlyRate, totalPayments) - 1);
-    }
-    
-    // Calculate net proceeds from sale
-    const netProceeds = futureHomeValue - totalSellingCosts - remainingBalance;
-    
-    // Calculate closing costs
-    const totalClosingCosts = homePrice * (closingCosts / 100);
-    
-    // Calculate opportunity cost of down payment
-    const downPaymentOpportunityCost = calculateInvestmentGrowth(downPayment, investmentReturn, timeframe);
-    
-    // Calculate monthly difference that could be invested
-    const netMonthlyHousingCost = totalMonthlyHousingCost - monthlyRentalIncome;
-    
-    // Calculate the monthly difference between rent and buying
-    const monthlyDifference = Math.abs(monthlyRent - netMonthlyHousingCost);
-    
-    // Use the user-specified monthly investment amount
-    const monthlyInvestmentPotential = monthlyInvestmentAmount || 0;
-    
-    // Calculate compound growth of monthly investments
-    let totalMonthlyInvestmentGrowth = 0;
-    if (monthlyInvestmentPotential > 0) {
-        const monthlyRate = investmentReturn / 100 / 12;
-        const months = timeframe * 12;
-        if (monthlyRate > 0) {
-            totalMonthlyInvestmentGrowth = monthlyInvestmentPotential * 
-                ((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate);
-        } else {
-            totalMonthlyInvestmentGrowth = monthlyInvestmentPotential * months;
-        }
+// Slower parts of the results (goal seek, the full schedule, sensitivity) wait until the browser is idle, one per
+// idle slice, so recalculating while typing only redraws the headline and charts
+let detailedAnalysisTasks = [];
+let detailedAnalysisHandle = null;
+
+function requestIdle(callback) {
+    return typeof requestIdleCallback === 'function' ? requestIdleCallback(callback) : setTimeout(callback, 50);
+}
+
+function cancelIdle(handle) {
+    if (typeof cancelIdleCallback === 'function') {
+        cancelIdleCallback(handle);
+    } else {
+        clearTimeout(handle);
     }
-    
-    // Total cost of buying = Down payment + Closing costs + All housing costs - Rental income - Tax benefits - Net proceeds from sale
-    // Net proceeds include the effect of home appreciation
-    const totalCost = downPayment + totalClosingCosts + totalHousingCosts - totalRentalIncome - totalTaxBenefits - netProceeds;
-    
-    return {
-        totalCost: totalCost,
-        monthlyMortgage: monthlyMortgage,
-        monthlyRentalIncome: monthlyRentalIncome,
-        monthlyPropertyTax: monthlyPropertyTax,
-        monthlyHomeInsurance: monthlyHomeInsurance,
-        monthlyHoaFees: monthlyHoaFees,
-        monthlyMaintenance: monthlyMaintenance,
-        totalMonthlyHousingCost: totalMonthlyHousingCost,
-        netMonthlyHousingCost: netMonthlyHousingCost,
-        futureHomeValue: futureHomeValue,
-        netProceeds: netProceeds,
-        totalMortgagePayments: totalMortgagePayments,
-        totalPropertyTax: totalPropertyTax,
-        totalHomeInsurance: totalHomeInsurance,
-        totalHoaFees: totalHoaFees,
-        totalPmi: totalPmi,
-        totalAdditionalUtilities: totalAdditionalUtilities,
-        totalMaintenance: totalMaintenance,
-        totalHousingCosts: totalHousingCosts,
-        totalRentalIncome: totalRentalIncome,
-        totalSellingCosts: totalSellingCosts,
-        sellingCosts: sellingCosts,
-        totalClosingCosts: totalClosingCosts,
-        totalTaxBenefits: totalTaxBenefits,
-        annualPropertyTax: annualPropertyTax,
-        monthlyPmi: monthlyPmi,
-        monthlyAdditionalUtilities: monthlyAdditionalUtilities,
-        netMonthlyHousingCost: netMonthlyHousingCost,
-        downPaymentOpportunityCost: downPaymentOpportunityCost,
-        monthlyDifference: monthlyDifference,
-        monthlyInvestmentPotential: monthlyInvestmentPotential,
-        totalMonthlyInvestmentGrowth: totalMonthlyInvestmentGrowth
-    };
 }
 
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0
-    }).format(amount);
+function cancelDetailedAnalysis() {
+    if (detailedAnalysisHandle !== null) {
+        cancelIdle(detailedAnalysisHandle);
+        detailedAnalysisHandle = null;
+    }
+    detailedAnalysisTasks = [];
+}
+
+function runNextDetailedTask() {
+    detailedAnalysisHandle = requestIdle(() => {
+        detailedAnalysisHandle = null;
+        const task = detailedAnalysisTasks.shift();
+        if (task) {
+            task();
+        }
+        if (detailedAnalysisTasks.length > 0) {
+            runNextDetailedTask();
+        }
+    });
+}
+
+function scheduleDetailedAnalysis(tasks) {
+    // A newer calculation replaces whatever the last one hadn't finished
+    cancelDetailedAnalysis();
+    detailedAnalysisTasks = tasks;
+    runNextDetailedTask();
+}
+
+function flushDetailedAnalysis() {
+    // Finish everything now, for printing
+    const tasks = detailedAnalysisTasks;
+    cancelDetailedAnalysis();
+    tasks.forEach(task => task());
 }
 
 function calculateComparison() {
-    // Get input values - Renting
-    const monthlyRent = parseFloat(document.getElementById('monthlyRent').value);
-    const securityDeposit = parseFloat(document.getElementById('securityDeposit').value);
-    const rentersInsurance = parseFloat(document.getElementById('rentersInsurance').value);
-    const brokerFee = parseFloat(document.getElementById('brokerFee').value);
-    const rentIncrease = parseFloat(document.getElementById('rentIncrease').value);
-    
-    // Get input values - Buying
-    const homePrice = parseFloat(document.getElementById('homePrice').value);
-    const downPayment = parseFloat(document.getElementById('downPayment').value);
-    const mortgageTerm = parseInt(document.getElementById('mortgageTerm').value);
-    const interestRate = parseFloat(document.getElementById('interestRate').value);
-    const closingCosts = parseFloat(document.getElementById('closingCosts').value);
-    const propertyTaxRate = parseFloat(document.getElementById('propertyTaxRate').value);
-    const homeInsurance = parseFloat(document.getElementById('homeInsurance').value);
-    const hoaFees = parseFloat(document.getElementById('hoaFees').value);
-    const pmi = parseFloat(document.getElementById('pmi').value);
-    const additionalUtilities = parseFloat(document.getElementById('additionalUtilities').value);
-    const maintenanceRate = parseFloat(document.getElementById('maintenanceRate').value);
-    const sellingCosts = parseFloat(document.getElementById('sellingCosts').value);
-    const homeAppreciation = parseFloat(document.getElementById('homeAppreciation').value);
-    
-    // House hacking
-    const rentalIncome = parseFloat(document.getElementById('rentalIncome').value);
-    
-    // Additional info
-    const timeframe = parseInt(document.getElementById('timeframe').value);
-    const investmentReturn = parseFloat(document.getElementById('investmentReturn').value);
-    const filingStatus = document.getElementById('filingStatus').value;
-    const marginalTaxRate = parseFloat(document.getElementById('marginalTaxRate').value);
-    const capitalGainsTaxRate = parseFloat(document.getElementById('capitalGainsTaxRate').value);
-    const inflationRate = parseFloat(document.getElementById('inflationRate').value);
-    const monthlyInvestmentAmount = parseFloat(document.getElementById('monthlyInvestmentAmount').value);
-    
-    // Validate inputs
-    if (downPayment >= homePrice) {
-        alert('Down payment cannot be greater than or equal to home price');
+    const inputs = readInputs();
+    const resultsElement = document.getElementById('results');
+    cancelDetailedAnalysis();
+    if (!checkInputs(inputs)) {
+        // Keep the last results on screen, greyed out, so a half-typed number doesn't blank the page
+        if (resultsElement.querySelector('.cost-comparison')) {
+            resultsElement.classList.add('stale');
+        } else {
+            resultsElement.innerHTML = '<p>Fix the highlighted fields to see the comparison</p>';
+        }
         return;
     }
+    resultsElement.classList.remove('stale');
     
-    // Calculate costs
-    const rentingCost = calculateRentCost(monthlyRent, rentIncrease, timeframe, securityDeposit, rentersInsurance, brokerFee, inflationRate);
-    const buyingResults = calculateBuyingCosts(homePrice, downPayment, interestRate, 
-                                            mortgageTerm, homeAppreciation, rentalIncome, timeframe, investmentReturn,
-                                            propertyTaxRate, homeInsurance, hoaFees, maintenanceRate, closingCosts,
-                                            pmi, additionalUtilities, sellingCosts, marginalTaxRate, inflationRate, monthlyRent, filingStatus, monthlyInvestmentAmount);
+    const { monthlyRent, securityDeposit, rentersInsurance, brokerFee, rentIncrease,
+            homePrice, downPayment, closingCosts, sellingCosts, homeAppreciation,
+            timeframe, investmentReturn, filingStatus, taxableIncome, marginalTaxRate, capitalGainsTaxRate, realDollars } = inputs;
+    const dollarBasis = realDollars ? "in today's dollars" : 'in future dollars';
+    const taxYear = TAX_YEARS[inputs.taxYear] ? inputs.taxYear : LATEST_TAX_YEAR;
+    const marginalRate = isNaN(taxableIncome) ? marginalTaxRate :
+        getMarginalRate(taxableIncome - getStandardDeduction(filingStatus, taxYear), getTaxBrackets(filingStatus, taxYear));
     
-    // Calculate renting with investment scenario
-    const rentingWithInvestment = rentingCost - buyingResults.downPaymentOpportunityCost;
-    
-    // Determine which is better (including opportunity cost)
-    const savingsWithoutOpportunityCost = rentingCost - buyingResults.totalCost;
-    const buyingCostWithInvestment = buyingResults.totalCost - buyingResults.totalMonthlyInvestmentGrowth;
-    const savingsWithOpportunityCost = rentingWithInvestment - buyingCostWithInvestment;
-    const isBuyingBetter = savingsWithOpportunityCost > 0;
+    const scenarioResults = runScenario(inputs);
+    const { rentingCost, buyingResults, rentingWithInvestment, buyingCostWithInvestment,
+            savingsWithoutOpportunityCost, savingsWithOpportunityCost, isBuyingBetter } = scenarioResults;
     
     // Generate results HTML with collapsible sections
     const resultsHTML = `
@@ -267,12 +223,12 @@ function calculateComparison() {
             <div class="cost-item">
                 <h4>Renting + Investment Opportunity</h4>
                 <div class="cost-amount">${formatCurrency(rentingWithInvestment)}</div>
-                <p>Over ${timeframe} years</p>
+                <p>Over ${timeframe} years, ${dollarBasis}</p>
             </div>
             <div class="cost-item">
                 <h4>Buying + Investment Opportunity</h4>
                 <div class="cost-amount ${isBuyingBetter ? 'savings' : ''}">${formatCurrency(buyingCostWithInvestment)}</div>
-                <p>Over ${timeframe} years</p>
+                <p>Over ${timeframe} years, ${dollarBasis}</p>
             </div>
         </div>
         
@@ -281,6 +237,17 @@ function calculateComparison() {
             <p><strong>You ${isBuyingBetter ? 'save' : 'spend'} ${formatCurrency(Math.abs(savingsWithOpportunityCost))} by ${isBuyingBetter ? 'buying' : 'renting + investing'}</strong></p>
         </div>
         
+        <div class="collapsible-section">
+            <div class="collapsible-header" onclick="toggleSection('break-even-thresholds')">
+                <h3>Break-Even Thresholds <span class="expand-icon">▼</span></h3>
+            </div>
+            <div class="collapsible-content" id="break-even-thresholds">
+                <div class="result-item" id="thresholdResults">
+                    <p><small>Working out thresholds...</small></p>
+                </div>
+            </div>
+        </div>
+        
         <div class="collapsible-section">
             <div class="collapsible-header" onclick="toggleSection('monthly-costs')">
                 <h3>Monthly Housing Costs <span class="expand-icon">▼</span></h3>
@@ -290,16 +257,18 @@ function calculateComparison() {
                     <p><strong>Monthly Rent:</strong> ${formatCurrency(monthlyRent)}</p>
                     <p><strong>Monthly Renter's Insurance:</strong> ${formatCurrency(rentersInsurance)}</p>
                     <p><strong>Total Monthly Renting Cost:</strong> ${formatCurrency(monthlyRent + rentersInsurance)}</p>
-                    <p><strong>Monthly Mortgage Payment:</strong> ${formatCurrency(buyingResults.monthlyMortgage)}</p>
+                    <p><strong>Monthly Mortgage Payment:</strong> ${formatCurrency(buyingResults.monthlyMortgage)}${buyingResults.loanType !== 'fixed' ?
+                        ` (${buyingResults.loanType} ARM - up to ${formatCurrency(buyingResults.maxMonthlyMortgage)} after resets)` : ''}</p>
                     <p><strong>Monthly Property Tax:</strong> ${formatCurrency(buyingResults.monthlyPropertyTax)}</p>
                     <p><strong>Monthly Home Insurance:</strong> ${formatCurrency(buyingResults.monthlyHomeInsurance)}</p>
                     <p><strong>Monthly HOA Fees:</strong> ${formatCurrency(buyingResults.monthlyHoaFees)}</p>
-                    <p><strong>Monthly PMI:</strong> ${formatCurrency(buyingResults.monthlyPmi)}</p>
+                    <p><strong>Monthly PMI:</strong> ${formatCurrency(buyingResults.monthlyPmi)}${buyingResults.pmiRate > 0 ? ` (${buyingResults.pmiRate.toFixed(2)}% of the loan per year, for ${buyingResults.pmiMonths} of your ${timeframe * 12} months)` : ''}</p>
                     <p><strong>Monthly Additional Utilities:</strong> ${formatCurrency(buyingResults.monthlyAdditionalUtilities)}</p>
                     <p><strong>Monthly Maintenance & Repairs:</strong> ${formatCurrency(buyingResults.monthlyMaintenance)}</p>
                     <p><strong>Total Monthly Housing Cost:</strong> ${formatCurrency(buyingResults.totalMonthlyHousingCost)}</p>
                     <p><strong>Monthly Rental Income:</strong> ${formatCurrency(buyingResults.monthlyRentalIncome)}</p>
                     <p><strong>Net Monthly Housing Cost (Buying):</strong> ${formatCurrency(buyingResults.netMonthlyHousingCost)}</p>
+                    <small>First-year amounts. Yearly increases: rent ${rentIncrease}%, property tax ${buyingResults.escalation.propertyTax}%, insurance ${buyingResults.escalation.homeInsurance}%, HOA ${buyingResults.escalation.hoaFees}%, utilities ${buyingResults.escalation.utilities}%, maintenance ${buyingResults.escalation.maintenance}%</small>
                 </div>
             </div>
         </div>
@@ -315,19 +284,52 @@ function calculateComparison() {
                     <p><strong>Home Value After ${timeframe} Years:</strong> ${formatCurrency(buyingResults.futureHomeValue)}</p>
                     <p><strong>Net Proceeds from Sale:</strong> ${formatCurrency(buyingResults.netProceeds)}</p>
                     <p><strong>Selling Costs (${sellingCosts}% realtor fee):</strong> ${formatCurrency(buyingResults.totalSellingCosts)}</p>
+                    <p><strong>Gain on Sale:</strong> ${formatCurrency(buyingResults.capitalGain)}</p>
+                    <p><strong>Home Sale Exclusion:</strong> ${buyingResults.homeSaleExclusion > 0 ?
+                        formatCurrency(buyingResults.homeSaleExclusion) :
+                        'None - you need to own and live in the home for at least 2 years'}</p>
+                    <p><strong>Tax on Sale:</strong> ${formatCurrency(buyingResults.homeSaleTax)} (${capitalGainsTaxRate}% of any gain above the exclusion${buyingResults.recaptureTax > 0 ? ', plus depreciation recapture from house hacking' : ''})</p>
+                </div>
+            </div>
+        </div>
+        
+        <div class="collapsible-section">
+            <div class="collapsible-header" onclick="toggleSection('amortization-schedule')">
+                <h3>Amortization Schedule <span class="expand-icon">▼</span></h3>
+            </div>
+            <div class="collapsible-content" id="amortization-schedule">
+                <div class="result-item">
+                    <p><strong>Interest Paid Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalMortgageInterest)}</p>
+                    <p><strong>Principal Paid Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalPrincipalPaid)}</p>
+                    <p><strong>Loan Balance at Sale:</strong> ${formatCurrency(buyingResults.remainingBalance)}</p>
+                    <p><strong>PMI:</strong> ${buyingResults.pmiEndMonth > 0 ?
+                        `${formatCurrency(buyingResults.totalPmi)} over ${buyingResults.pmiMonths} months of your stay; drops off after month ${buyingResults.pmiEndMonth} (year ${Math.ceil(buyingResults.pmiEndMonth / 12)})` :
+                        `None - starting loan-to-value is ${(buyingResults.loanToValue * 100).toFixed(1)}%`}</p>
+                    ${renderRateResets(buyingResults)}
+                    <div id="amortizationTable"></div>
                 </div>
             </div>
         </div>
         
+        ${renderPrepaymentSection(inputs, buyingResults)}
+        
         <div class="collapsible-section">
             <div class="collapsible-header" onclick="toggleSection('house-hacking')">
                 <h3>Income from House Hacking <span class="expand-icon">▼</span></h3>
             </div>
             <div class="collapsible-content" id="house-hacking">
                 <div class="result-item">
-                    <p><strong>Monthly Rental Income:</strong> ${formatCurrency(buyingResults.monthlyRentalIncome)}</p>
-                    <p><strong>Total Rental Income Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalRentalIncome)}</p>
-                    <p><strong>Impact on Monthly Housing Cost:</strong> Reduces by ${formatCurrency(buyingResults.monthlyRentalIncome)}/month</p>
+                    <p><strong>Monthly Rent Charged:</strong> ${formatCurrency(buyingResults.grossRentalIncome)} (grows ${buyingResults.rentalGrowth}%/year)</p>
+                    <p><strong>Vacancy:</strong> ${buyingResults.rentalVacancyRate}% of the rent</p>
+                    <p><strong>Landlord Expenses:</strong> ${formatCurrency(buyingResults.monthlyLandlordExpenses)}/month</p>
+                    <p><strong>Monthly Rental Income (first year, before tax):</strong> ${formatCurrency(buyingResults.monthlyRentalIncome)}</p>
+                    <p><strong>Rent Collected Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalRentCollected)} after ${formatCurrency(buyingResults.totalRentalVacancy)} lost to vacancy</p>
+                    <p><strong>Landlord Expenses Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalLandlordExpenses)}</p>
+                    <p><strong>Depreciation on the Rented ${(buyingResults.rentedShare * 100).toFixed(0)}%:</strong> ${formatCurrency(buyingResults.totalDepreciation)}</p>
+                    <p><strong>Tax on Rental Profit (${buyingResults.rentalTaxRate}%):</strong> ${formatCurrency(buyingResults.totalRentalTax)}</p>
+                    <p><strong>Depreciation Recaptured at Sale:</strong> ${formatCurrency(buyingResults.recaptureTax)} tax${buyingResults.releasedLossBenefit > 0 ? `, less ${formatCurrency(buyingResults.releasedLossBenefit)} for rental losses carried forward` : ''}</p>
+                    <p><strong>Net Rental Income Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalRentalIncome)}</p>
+                    <small>The rented share of interest, property tax, insurance, HOA, utilities and maintenance is deducted from the rent instead of itemized</small>
                 </div>
             </div>
         </div>
@@ -338,11 +340,14 @@ function calculateComparison() {
             </div>
             <div class="collapsible-content" id="tax-benefits">
                 <div class="result-item">
-                    <p><strong>Annual Property Tax:</strong> ${formatCurrency(buyingResults.annualPropertyTax)}</p>
+                    <p><strong>Annual Property Tax (first year):</strong> ${formatCurrency(buyingResults.annualPropertyTax)}</p>
+                    <p><strong>Property Tax Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalPropertyTax)} (grows ${buyingResults.escalation.propertyTax}%/year)</p>
                     <p><strong>Total Tax Benefits Over ${timeframe} Years:</strong> ${formatCurrency(buyingResults.totalTaxBenefits)}</p>
-                    <p><strong>Marginal Tax Rate Used:</strong> ${marginalTaxRate}%</p>
-                    <p><strong>Standard Deduction (${filingStatus}):</strong> ${formatCurrency(getStandardDeduction(filingStatus))}</p>
-                    <small>Tax benefits only apply if itemized deductions exceed standard deduction</small>
+                    <p><strong>Tax Year:</strong> ${taxYear} brackets and deductions</p>
+                    <p><strong>${isNaN(taxableIncome) ? 'Marginal Tax Rate Used' : 'Tax Bracket'}:</strong> ${marginalRate}%</p>
+                    <p><strong>Standard Deduction (${filingStatus}):</strong> ${formatCurrency(getStandardDeduction(filingStatus, taxYear))}</p>
+                    ${renderTaxTable(buyingResults.yearlySchedule)}
+                    <small>Tax benefits only apply if itemized deductions exceed standard deduction. State and local taxes are capped; mortgage interest is only deductible on the first ${formatCurrency(getMortgageDebtLimit(filingStatus, taxYear))} of the loan</small>
                 </div>
             </div>
         </div>
@@ -354,10 +359,10 @@ function calculateComparison() {
             <div class="collapsible-content" id="opportunity-cost">
                 <div class="result-item">
                     <p><strong>Down Payment:</strong> ${formatCurrency(downPayment)}</p>
-                    <p><strong>If Down Payment Was Invested:</strong> ${formatCurrency(buyingResults.downPaymentOpportunityCost)}</p>
-                    <p><strong>Monthly Cost Difference:</strong> ${formatCurrency(buyingResults.monthlyDifference)}</p>
-                    <p><strong>Monthly Investment Amount:</strong> ${formatCurrency(buyingResults.monthlyInvestmentPotential)}</p>
-                    <p><strong>Growth from Monthly Investments:</strong> ${formatCurrency(buyingResults.totalMonthlyInvestmentGrowth)}</p>
+                    <p><strong>Growth If Down Payment Was Invested:</strong> ${formatCurrency(buyingResults.downPaymentOpportunityCost)} after ${formatCurrency(buyingResults.downPaymentTax)} capital gains tax</p>
+                    <p><strong>Monthly Cost Difference (first-year average):</strong> ${formatCurrency(buyingResults.monthlyDifference)}</p>
+                    ${renderMonthlyInvesting(buyingResults, capitalGainsTaxRate)}
+                    ${buyingResults.investmentMode === 'fixed' ? `<small>Both portfolios are sold when you move, with gains taxed at ${capitalGainsTaxRate}%</small>` : ''}
                 </div>
             </div>
         </div>
@@ -381,29 +386,236 @@ function calculateComparison() {
         </div>
     `;
     
-    document.getElementById('results').innerHTML = resultsHTML;
+    // Results are rebuilt on every edit, so reopen any sections the reader had expanded
+    const expandedSections = Array.from(resultsElement.querySelectorAll('.collapsible-content.expanded')).map(section => section.id);
+    resultsElement.innerHTML = resultsHTML;
+    expandedSections.forEach(sectionId => {
+        if (document.getElementById(sectionId)) {
+            toggleSection(sectionId);
+        }
+    });
+    
+    // Keep the address bar pointing at this exact scenario
+    updateShareableUrl();
     
     // Create both charts
     createMonthlyCashFlowChart(monthlyRent, rentIncrease, buyingResults, timeframe, rentersInsurance, homePrice, downPayment, closingCosts, sellingCosts);
-    createBreakEvenChart(monthlyRent, rentIncrease, buyingResults, timeframe, homePrice, downPayment, closingCosts, sellingCosts, homeAppreciation, rentersInsurance);
+    createBreakEvenChart(scenarioResults, timeframe);
+    
+    // What each household would be worth if it moved out after each year
+    const netWorth = buildNetWorthTrajectory(inputs, scenarioResults);
+    createNetWorthChart(netWorth);
+    renderNetWorthTable(netWorth);
     
     // Add detailed cost breakdown
     addDetailedBreakdown(rentingCost, buyingResults, timeframe, downPayment, investmentReturn, rentingWithInvestment, savingsWithOpportunityCost, securityDeposit, monthlyRent, brokerFee);
+    
+    // Thresholds, the full schedule and what drives the verdict follow once the page is idle
+    scheduleDetailedAnalysis([
+        () => { document.getElementById('thresholdResults').innerHTML = renderBreakEvenThresholds(inputs); },
+        () => { document.getElementById('amortizationTable').innerHTML = renderAmortizationTable(buyingResults.schedule, timeframe); },
+        () => runSensitivityAnalysis(inputs)
+    ]);
+}
+
+function describePaymentDate(month) {
+    // The loan is taken as starting now, with payment 1 due next month
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth() + month, 1)
+        .toLocaleDateString(getLocale(), { year: 'numeric', month: 'long' });
+}
+
+function renderPrepaymentSection(inputs, buyingResults) {
+    if (!hasPrepayment({
+        monthlyExtra: inputs.extraPrincipal,
+        lumpSums: parseLumpSums(inputs.lumpSums),
+        biweekly: inputs.biweeklyPayments
+    })) {
+        return '';
+    }
+    
+    const prepayment = comparePrepayment(inputs, buyingResults);
+    const prepayingWins = prepayment.prepayValue >= prepayment.investValue;
+    
+    return `
+        <div class="collapsible-section">
+            <div class="collapsible-header" onclick="toggleSection('prepayment')">
+                <h3>Extra Principal Payments <span class="expand-icon">▼</span></h3>
+            </div>
+            <div class="collapsible-content" id="prepayment">
+                <div class="result-item">
+                    <p><strong>Extra Principal Paid Over ${inputs.timeframe} Years:</strong> ${formatCurrency(buyingResults.totalExtraPrincipal)}</p>
+                    <p><strong>Interest Saved Over ${inputs.timeframe} Years:</strong> ${formatCurrency(prepayment.interestSaved)}</p>
+                    <p><strong>Interest Saved Over the Loan:</strong> ${formatCurrency(prepayment.lifetimeInterestSaved)} (future dollars)</p>
+                    <p><strong>Loan Paid Off:</strong> ${describePaymentDate(prepayment.payoffMonth)} (month ${prepayment.payoffMonth}, year ${Math.ceil(prepayment.payoffMonth / 12)}), ${prepayment.monthsEarly} months early</p>
+                    <p><strong>Effect on Net Proceeds from Sale:</strong> +${formatCurrency(prepayment.netProceedsEffect)}</p>
+                    <p><strong>Mortgage Interest Deductions Given Up:</strong> ${formatCurrency(prepayment.taxBenefitsLost)}</p>
+                    <p><strong>Prepaying, Net Gain at Sale:</strong> ${formatCurrency(prepayment.prepayValue)}</p>
+                    <p><strong>Investing the Same Dollars at ${inputs.investmentReturn}%:</strong> ${formatCurrency(prepayment.investValue)} after ${formatCurrency(prepayment.investTax)} capital gains tax</p>
+                    <p><strong>${prepayingWins ? 'Prepaying the mortgage' : 'Investing instead'} comes out ahead by ${formatCurrency(Math.abs(prepayment.prepayValue - prepayment.investValue))}</strong></p>
+                    <small>Both compared with making only the scheduled payments. Once the prepaid loan is gone, the investing side keeps paying its mortgage out of the portfolio.</small>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function getLedgerMonthlyCost(buyingResults, year) {
+    // Average net monthly cost of owning during the given year (1-based)
+    const ledgerYear = buyingResults.yearlySchedule[year - 1];
+    const annualCost = ledgerYear.payment + ledgerYear.propertyTax + ledgerYear.homeInsurance + ledgerYear.hoaFees + 
+                       ledgerYear.pmi + ledgerYear.utilities + ledgerYear.maintenance;
+    
+    return (annualCost - ledgerYear.netRentalIncome) / 12 / ledgerYear.deflator;
+}
+
+function toggleDollarBasis() {
+    // Only re-run if results are already on screen
+    if (document.querySelector('#results .cost-comparison')) {
+        calculateComparison();
+    }
+}
+
+function renderTaxTable(yearlySchedule) {
+    const rows = yearlySchedule.map(year => `
+                <tr>
+                    <td>${year.year}</td>
+                    <td>${formatCurrency(year.tax.deductibleInterest / year.deflator)}</td>
+                    <td>${formatCurrency(year.tax.saltDeduction / year.deflator)}</td>
+                    <td>${formatCurrency(year.tax.itemizedDeductions / year.deflator)}</td>
+                    <td>${formatCurrency(year.tax.standardDeduction / year.deflator)}</td>
+                    <td>${year.tax.itemizes ? 'Itemize' : 'Standard'}</td>
+                    <td>${formatCurrency(year.taxBenefit / year.deflator)}</td>
+                </tr>`).join('');
+    
+    return `
+        <div class="schedule-table-wrapper">
+            <table class="schedule-table">
+                <thead>
+                    <tr>
+                        <th>Year</th>
+                        <th>Interest</th>
+                        <th>State & Local</th>
+                        <th>Itemized</th>
+                        <th>Standard</th>
+                        <th>Deduction</th>
+                        <th>Tax Saved</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderRateResets(buyingResults) {
+    if (buyingResults.rateResets.length === 0) {
+        return '';
+    }
+    
+    // The first few resets tell the story; the table below has every month
+    const resets = buyingResults.rateResets.slice(0, 8).map(reset => `
+                    <li>Month ${reset.month} (year ${Math.ceil(reset.month / 12)}): ${reset.rate.toFixed(2)}%, payment ${formatCurrency(reset.payment)}</li>`).join('');
+    
+    return `
+        <p><strong>Rate Resets (${buyingResults.loanType} ARM):</strong></p>
+        <ul class="rate-resets">${resets}
+        </ul>
+    `;
+}
+
+function renderMonthlyInvesting(buyingResults, capitalGainsTaxRate) {
+    if (buyingResults.investmentMode === 'fixed') {
+        return `
+        <p><strong>Monthly Investment Amount:</strong> ${formatCurrency(buyingResults.monthlyInvestmentPotential)}</p>
+        <p><strong>Growth from Monthly Investments:</strong> ${formatCurrency(buyingResults.totalMonthlyInvestmentGrowth)} after ${formatCurrency(buyingResults.monthlyInvestmentTax)} capital gains tax</p>
+        `;
+    }
+    
+    return `
+        <p><strong>Renter's Invested Savings:</strong> ${formatCurrency(buyingResults.rentingContributions)} paid in, worth ${formatCurrency(buyingResults.rentingPortfolio)} after ${formatCurrency(buyingResults.rentingInvestmentTax)} capital gains tax</p>
+        <p><strong>Buyer's Invested Savings:</strong> ${formatCurrency(buyingResults.buyingContributions)} paid in, worth ${formatCurrency(buyingResults.buyingPortfolio)} after ${formatCurrency(buyingResults.monthlyInvestmentTax)} capital gains tax</p>
+        <small>Each month the household paying less invests the difference. Only what those savings earn counts, since the lower costs are already in each total. Gains are taxed at ${capitalGainsTaxRate}% when you move.</small>
+    `;
+}
+
+function renderAmortizationTable(schedule, timeframe) {
+    const rows = schedule.map(row => `
+                <tr class="${row.year > timeframe ? 'after-sale' : ''}${row.month % 12 === 0 ? ' year-end' : ''}">
+                    <td>${row.year}</td>
+                    <td>${row.month}</td>
+                    <td>${row.rate.toFixed(2)}%</td>
+                    <td>${formatCurrency(row.payment)}</td>
+                    <td>${formatCurrency(row.interest)}</td>
+                    <td>${formatCurrency(row.principal)}</td>
+                    <td>${formatCurrency(row.propertyTax + row.homeInsurance + row.hoaFees + row.pmi)}</td>
+                    <td>${formatCurrency(row.pmi)}</td>
+                    <td>${formatCurrency(row.balance)}</td>
+                    <td>${formatCurrency(row.equity)}</td>
+                </tr>`).join('');
+    
+    return `
+        <div class="schedule-table-wrapper">
+            <table class="schedule-table">
+                <thead>
+                    <tr>
+                        <th>Year</th>
+                        <th>Month</th>
+                        <th>Rate</th>
+                        <th>Payment</th>
+                        <th>Interest</th>
+                        <th>Principal</th>
+                        <th>Escrow</th>
+                        <th>PMI</th>
+                        <th>Balance</th>
+                        <th>Equity</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+        <small>Escrow is property tax, insurance, HOA and PMI. Amounts are in future dollars. Greyed rows fall after the planned sale.</small>
+    `;
 }
 
 let breakEvenChart = null;
 let monthlyCashFlowChart = null;
 let currentBreakEvenYear = null;
 
-function createMonthlyCashFlowChart(initialRent, rentIncrease, buyingResults, maxYears, rentersInsurance, homePrice, downPayment, closingCosts, sellingCosts) {
-    // Destroy existing chart if it exists
-    if (monthlyCashFlowChart) {
-        monthlyCashFlowChart.destroy();
-        monthlyCashFlowChart = null;
+// Draws the break-even line on the break-even chart only; reads currentBreakEvenYear so it never needs re-creating
+const breakEvenPlugin = {
+    id: 'breakEvenLine',
+    afterDraw: function(chart) {
+        const maxYears = chart.data.labels[chart.data.labels.length - 1];
+        if (!currentBreakEvenYear || currentBreakEvenYear > maxYears) return;
+        
+        const ctx = chart.ctx;
+        const chartArea = chart.chartArea;
+        const xScale = chart.scales.x;
+        
+        const xPosition = xScale.getPixelForValue(currentBreakEvenYear);
+        
+        ctx.save();
+        ctx.strokeStyle = '#6b7280';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+        ctx.moveTo(xPosition, chartArea.top);
+        ctx.lineTo(xPosition, chartArea.bottom);
+        ctx.stroke();
+        
+        // Add label
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('Break even', xPosition, chartArea.top - 5);
+        ctx.restore();
     }
-    
-    const ctx = document.getElementById('monthlyCashFlowChart').getContext('2d');
-    
+};
+
+function createMonthlyCashFlowChart(initialRent, rentIncrease, buyingResults, maxYears, rentersInsurance, homePrice, downPayment, closingCosts, sellingCosts) {
     // Generate monthly cost data including upfront costs
     const years = [];
     const rentingCosts = [];
@@ -423,19 +635,35 @@ function createMonthlyCashFlowChart(initialRent, rentIncrease, buyingResults, ma
             yearRent = yearRent * (1 + rentIncrease / 100);
         }
         
-        rentingCosts.push(yearRent + rentersInsurance);
+        const yearInsurance = rentersInsurance * Math.pow(1 + buyingResults.inflationRate / 100, year);
+        const deflator = getDeflator(buyingResults.inflationRate, year, buyingResults.realDollars);
+        
+        rentingCosts.push((yearRent + yearInsurance) / deflator);
+        
+        // Average monthly outlay for this year straight from the amortization ledger
+        const monthlyBuyCost = getLedgerMonthlyCost(buyingResults, Math.max(year, 1));
         
         // For buying: show effective monthly cost including amortized transaction costs
         if (year === 0) {
             // Year 0: Show massive upfront impact
-            buyingCosts.push(buyingResults.netMonthlyHousingCost + totalTransactionCosts);
+            buyingCosts.push(monthlyBuyCost + totalTransactionCosts);
         } else {
             // Year 1+: Show regular monthly cost + transaction costs amortized over remaining time
             const monthlyTransactionCost = totalTransactionCosts / (year * 12);
-            buyingCosts.push(buyingResults.netMonthlyHousingCost + monthlyTransactionCost);
+            buyingCosts.push(monthlyBuyCost + monthlyTransactionCost);
         }
     }
     
+    // Swap the data into the existing chart rather than rebuilding it, so live edits don't flicker
+    if (monthlyCashFlowChart) {
+        monthlyCashFlowChart.data.labels = years;
+        monthlyCashFlowChart.data.datasets[0].data = rentingCosts;
+        monthlyCashFlowChart.data.datasets[1].data = buyingCosts;
+        monthlyCashFlowChart.update();
+        return;
+    }
+    
+    const ctx = document.getElementById('monthlyCashFlowChart').getContext('2d');
     monthlyCashFlowChart = new Chart(ctx, {
         type: 'line',
         data: {
@@ -465,12 +693,12 @@ function createMonthlyCashFlowChart(initialRent, rentIncrease, buyingResults, ma
                     beginAtZero: true,
                     ticks: {
                         callback: function(value) {
-                            return '$' + value.toLocaleString();
+                            return formatCurrency(value);
                         }
                     },
                     title: {
                         display: true,
-                        text: 'Monthly Cost ($)'
+                        text: 'Monthly Cost'
                     }
                 },
                 x: {
@@ -499,91 +727,25 @@ function createMonthlyCashFlowChart(initialRent, rentIncrease, buyingResults, ma
     });
 }
 
-function createBreakEvenChart(initialRent, rentIncrease, buyingResults, maxYears, homePrice, downPayment, closingCosts, sellingCosts, homeAppreciation, rentersInsurance) {
-    const ctx = document.getElementById('breakEvenChart').getContext('2d');
-    
-    // Destroy existing chart if it exists
-    if (breakEvenChart) {
-        breakEvenChart.destroy();
-    }
-    
-    // Generate data points for cumulative costs
-    const years = [];
-    const rentingCosts = [];
-    const buyingCosts = [];
-    
-    let cumulativeRentCost = 0;
-    let cumulativeBuyCost = 0;
-    let currentRent = initialRent;
-    let breakEvenYear = null;
-    
-    // Year 0 - initial costs
-    years.push(0);
-    cumulativeRentCost = (initialRent + (buyingResults.monthlyRentalIncome || 0)) * 0; // No costs at year 0
-    cumulativeBuyCost = downPayment + buyingResults.totalClosingCosts; // Initial investment
-    rentingCosts.push(cumulativeRentCost);
-    buyingCosts.push(cumulativeBuyCost);
-    
-    for (let year = 1; year <= maxYears; year++) {
-        years.push(year);
-        
-        // Calculate rent for this year (with increases)
-        let yearRent = initialRent;
-        for (let y = 1; y < year; y++) {
-            yearRent = yearRent * (1 + rentIncrease / 100);
-        }
-        
-        // Add this year's renting costs (rent increases each year)
-        cumulativeRentCost += (yearRent + rentersInsurance) * 12;
-        
-        // For buying: calculate true economic cost
-        const annualHousingCosts = buyingResults.netMonthlyHousingCost * 12;
-        
-        // Calculate home value growth this year using actual appreciation rate
-        const appreciationRate = homeAppreciation / 100;
-        const currentHomeValue = homePrice * Math.pow(1 + appreciationRate, year);
-        const previousHomeValue = homePrice * Math.pow(1 + appreciationRate, year - 1);
-        const annualAppreciation = currentHomeValue - previousHomeValue;
-        
-        // Estimate principal payment (increases over time, but approximate)
-        const totalPrincipal = homePrice - downPayment;
-        const approximatePrincipalPayment = (totalPrincipal / (30 * 12)) * 12; // Very rough estimate
-        
-        // True annual cost = what you pay minus wealth you build
-        const annualNetCost = annualHousingCosts - annualAppreciation - approximatePrincipalPayment;
-        cumulativeBuyCost += Math.max(annualNetCost, buyingResults.netMonthlyHousingCost * 12 * 0.3); // Minimum 30% of housing costs
-        
-        rentingCosts.push(cumulativeRentCost);
-        buyingCosts.push(cumulativeBuyCost);
-        
-        // Find break-even point where cumulative costs cross
-        if (breakEvenYear === null && year > 0) {
-            const prevRentCost = rentingCosts[year - 1];
-            const prevBuyCost = buyingCosts[year - 1];
-            const currentRentCost = cumulativeRentCost;
-            const currentBuyCost = cumulativeBuyCost;
-            
-            // Check if lines crossed between this year and last year
-            if ((prevRentCost <= prevBuyCost && currentRentCost >= currentBuyCost) ||
-                (prevRentCost >= prevBuyCost && currentRentCost <= currentBuyCost)) {
-                // Linear interpolation to find more precise break-even point
-                const rentSlope = currentRentCost - prevRentCost;
-                const buySlope = currentBuyCost - prevBuyCost;
-                const slopeDiff = rentSlope - buySlope;
-                
-                if (Math.abs(slopeDiff) > 0.01) { // Avoid division by zero
-                    const intersection = (prevBuyCost - prevRentCost) / slopeDiff;
-                    breakEvenYear = Math.max(0, Math.min(1, intersection)) + (year - 1);
-                } else {
-                    breakEvenYear = year - 0.5;
-                }
-            }
-        }
-    }
+function createBreakEvenChart(scenarioResults, maxYears) {
+    // Each point is exactly what the summary would report for that many years
+    const years = scenarioResults.yearly.map(year => year.year);
+    const rentingCosts = scenarioResults.yearly.map(year => year.rentingWithInvestment);
+    const buyingCosts = scenarioResults.yearly.map(year => year.buyingCostWithInvestment);
+    const breakEvenYear = scenarioResults.breakEvenYear;
     
     // Store break-even year globally so plugin can access it
     currentBreakEvenYear = breakEvenYear;
     
+    // Swap the data into the existing chart rather than rebuilding it, so live edits don't flicker
+    if (breakEvenChart) {
+        breakEvenChart.data.labels = years;
+        breakEvenChart.data.datasets[0].data = rentingCosts;
+        breakEvenChart.data.datasets[1].data = buyingCosts;
+        breakEvenChart.update();
+        return;
+    }
+    
     // Chart configuration
     const config = {
         type: 'line',
@@ -621,12 +783,12 @@ function createBreakEvenChart(initialRent, rentIncrease, buyingResults, maxYears
                     beginAtZero: true,
                     ticks: {
                         callback: function(value) {
-                            return '$' + value.toLocaleString();
+                            return formatCurrency(value);
                         }
                     },
                     title: {
                         display: true,
-                        text: 'Cumulative Net Cost ($)'
+                        text: 'Net Cost if You Move Out'
                     }
                 },
                 x: {
@@ -658,7 +820,7 @@ function createBreakEvenChart(initialRent, rentIncrease, buyingResults, maxYears
                     intersect: false,
                     callbacks: {
                         label: function(context) {
-                            return context.dataset.label + ': $' + context.parsed.y.toLocaleString() + '/month';
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
                         }
                     }
                 }
@@ -668,124 +830,825 @@ function createBreakEvenChart(initialRent, rentIncrease, buyingResults, maxYears
                 axis: 'x',
                 intersect: false
             }
-        }
-    };
-    
-    // Add a plugin to draw the break-even line (always register, but only draw if breakEvenYear exists)
-    const breakEvenPlugin = {
-        id: 'breakEvenLine',
-        afterDraw: function(chart) {
-            if (!currentBreakEvenYear || currentBreakEvenYear > maxYears) return;
-            
-            const ctx = chart.ctx;
-            const chartArea = chart.chartArea;
-            const xScale = chart.scales.x;
-            
-            const xPosition = xScale.getPixelForValue(currentBreakEvenYear);
-            
-            ctx.save();
-            ctx.strokeStyle = '#6b7280';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([8, 4]);
-            ctx.beginPath();
-            ctx.moveTo(xPosition, chartArea.top);
-            ctx.lineTo(xPosition, chartArea.bottom);
-            ctx.stroke();
-            
-            // Add label
-            ctx.fillStyle = '#6b7280';
-            ctx.font = '12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('Break even', xPosition, chartArea.top - 5);
-            ctx.restore();
-        }
+        },
+        plugins: [breakEvenPlugin]
     };
     
-    // Unregister any existing plugin first
-    Chart.unregister('breakEvenLine');
-    Chart.register(breakEvenPlugin);
-    
+    const ctx = document.getElementById('breakEvenChart').getContext('2d');
     breakEvenChart = new Chart(ctx, config);
 }
 
-function addDetailedBreakdown(rentingCost, buyingResults, timeframe, downPayment, investmentReturn, rentingWithInvestment, savingsWithOpportunityCost, securityDeposit, monthlyRent, brokerFee) {
-    // Calculate breakdown components for the detailed table
-    const rentInitialCosts = securityDeposit * monthlyRent + brokerFee;
-    const rentRecurringCosts = rentingCost - rentInitialCosts;
-    const rentNetProceeds = securityDeposit * monthlyRent; // Get security deposit back
-    
-    const buyInitialCosts = downPayment + buyingResults.totalClosingCosts;
-    const buyRecurringCosts = buyingResults.totalHousingCosts - buyingResults.totalRentalIncome - buyingResults.totalTaxBenefits;
-    
-    const rentTotal = rentInitialCosts + rentRecurringCosts - rentNetProceeds - buyingResults.downPaymentOpportunityCost;
-    const buyTotal = buyInitialCosts + buyRecurringCosts - buyingResults.netProceeds - buyingResults.totalMonthlyInvestmentGrowth;
-    
-    const savings = rentTotal - buyTotal;
-    const betterOption = savings > 0 ? 'buying' : 'renting';
-    const savingsAmount = Math.abs(savings);
+let netWorthChart = null;
+let currentNetWorth = [];
+
+function createNetWorthChart(netWorth) {
+    const years = netWorth.map(year => year.year);
+    const renterNetWorth = netWorth.map(year => year.renterNetWorth);
+    const buyerNetWorth = netWorth.map(year => year.buyerNetWorth);
     
-    const breakdownHTML = `
-        <div class="detailed-breakdown">
-            <div class="breakdown-header">
-                <div class="breakdown-title">Total costs after ${timeframe} years</div>
-                <div class="breakdown-subtitle">
-                    ${betterOption === 'renting' ? 'Renting' : 'Buying'} is $${formatCurrency(savingsAmount).replace('$', '')} less than ${betterOption === 'renting' ? 'buying' : 'renting'}
-                </div>
-            </div>
-            
-            <table class="breakdown-table">
-                <thead>
-                    <tr>
-                        <th></th>
-                        <th class="rent-col">Rent</th>
-                        <th class="buy-col">Buy</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td class="category">Initial costs <span class="tooltip-icon" data-tooltip="initial">?</span></td>
-                        <td class="rent-col">${formatCurrency(securityDeposit * monthlyRent + brokerFee)}</td>
-                        <td class="buy-col">${formatCurrency(downPayment + buyingResults.totalClosingCosts)}</td>
-                    </tr>
-                    <tr>
-                        <td class="category">Recurring costs <span class="tooltip-icon" data-tooltip="recurring">?</span></td>
-                        <td class="rent-col">${formatCurrency(rentingCost - securityDeposit * monthlyRent - brokerFee)}</td>
-                        <td class="buy-col">${formatCurrency(buyingResults.totalHousingCosts - buyingResults.totalRentalIncome - buyingResults.totalTaxBenefits)}</td>
-                    </tr>
-                    <tr>
-                        <td class="category">Net proceeds <span class="tooltip-icon" data-tooltip="proceeds">?</span></td>
-                        <td class="rent-col">${formatCurrency(securityDeposit * monthlyRent)}</td>
-                        <td class="buy-col">${formatCurrency(buyingResults.netProceeds)}</td>
-                    </tr>
-                    <tr>
-                        <td class="category">Investment opportunity <span class="tooltip-icon" data-tooltip="opportunity">?</span></td>
-                        <td class="rent-col">-${formatCurrency(buyingResults.downPaymentOpportunityCost).replace('$', '')}</td>
-                        <td class="buy-col">-${formatCurrency(buyingResults.totalMonthlyInvestmentGrowth).replace('$', '')}</td>
-                    </tr>
-                    <tr class="total-row">
-                        <td class="category">Total with opportunity cost</td>
-                        <td class="rent-col">${formatCurrency(rentTotal)}</td>
-                        <td class="buy-col">${formatCurrency(buyTotal)}</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>
-    `;
+    // The tooltip reads each year's parts from here
+    currentNetWorth = netWorth;
     
-    document.getElementById('detailedBreakdown').innerHTML = breakdownHTML;
+    if (netWorthChart) {
+        netWorthChart.data.labels = years;
+        netWorthChart.data.datasets[0].data = renterNetWorth;
+        netWorthChart.data.datasets[1].data = buyerNetWorth;
+        netWorthChart.update();
+        return;
+    }
     
-    // Add tooltip functionality with a small delay to ensure DOM is ready
-    setTimeout(() => {
-        addTooltipListeners();
-    }, 100);
-}
-
-function addTooltipListeners() {
+    const config = {
+        type: 'line',
+        data: {
+            labels: years,
+            datasets: [{
+                label: 'Renter',
+                data: renterNetWorth,
+                borderColor: '#2563eb',
+                backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                borderWidth: 3,
+                fill: false,
+                tension: 0.1,
+                pointBackgroundColor: '#2563eb',
+                pointBorderColor: '#2563eb',
+                pointRadius: 4
+            }, {
+                label: 'Buyer',
+                data: buyerNetWorth,
+                borderColor: '#16a34a',
+                backgroundColor: 'rgba(22, 163, 74, 0.1)',
+                borderWidth: 3,
+                fill: false,
+                tension: 0.1,
+                pointBackgroundColor: '#16a34a',
+                pointBorderColor: '#16a34a',
+                pointRadius: 4
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Net Worth'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Years'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        usePointStyle: true,
+                        pointStyle: 'line',
+                        boxWidth: 20,
+                        font: {
+                            size: 14
+                        },
+                        padding: 20
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        },
+                        // What each side's net worth is made of that year
+                        afterLabel: function(context) {
+                            const year = currentNetWorth[context.dataIndex];
+                            if (context.datasetIndex === 0) {
+                                return [
+                                    '  Investments: ' + formatCurrency(year.renterInvestments),
+                                    '  Deposit: ' + formatCurrency(year.deposit),
+                                    '  Cash: ' + formatCurrency(year.renterCash)
+                                ];
+                            }
+                            return [
+                                '  Home value: ' + formatCurrency(year.homeValue),
+                                '  Selling costs: ' + formatCurrency(-year.sellingCosts),
+                                '  Loan balance: ' + formatCurrency(-year.loanBalance),
+                                '  Sale tax: ' + formatCurrency(-year.homeSaleTax),
+                                '  Investments: ' + formatCurrency(year.buyerInvestments),
+                                '  Cash: ' + formatCurrency(year.buyerCash)
+                            ];
+                        }
+                    }
+                }
+            },
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            }
+        }
+    };
+    
+    const ctx = document.getElementById('netWorthChart').getContext('2d');
+    netWorthChart = new Chart(ctx, config);
+}
+
+function renderNetWorthTable(netWorth) {
+    const rows = netWorth.map(year => `
+                <tr>
+                    <td>${year.year}</td>
+                    <td>${formatCurrency(year.homeValue)}</td>
+                    <td>${formatCurrency(year.sellingCosts)}</td>
+                    <td>${formatCurrency(year.loanBalance)}</td>
+                    <td>${formatCurrency(year.homeSaleTax)}</td>
+                    <td>${formatCurrency(year.buyerInvestments)}</td>
+                    <td>${formatCurrency(year.buyerCash)}</td>
+                    <td><strong>${formatCurrency(year.buyerNetWorth)}</strong></td>
+                    <td>${formatCurrency(year.renterInvestments)}</td>
+                    <td>${formatCurrency(year.deposit)}</td>
+                    <td>${formatCurrency(year.renterCash)}</td>
+                    <td><strong>${formatCurrency(year.renterNetWorth)}</strong></td>
+                </tr>`).join('');
+    
+    document.getElementById('netWorthTable').innerHTML = `
+        <div class="schedule-table-wrapper">
+            <table class="schedule-table">
+                <thead>
+                    <tr>
+                        <th>Year</th>
+                        <th>Home Value</th>
+                        <th>Selling Costs</th>
+                        <th>Loan Balance</th>
+                        <th>Sale Tax</th>
+                        <th>Buyer Investments</th>
+                        <th>Buyer Cash</th>
+                        <th>Buyer Net Worth</th>
+                        <th>Renter Investments</th>
+                        <th>Deposit</th>
+                        <th>Renter Cash</th>
+                        <th>Renter Net Worth</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+let simulationWorker = null;
+let monteCarloChart = null;
+
+function runMonteCarlo() {
+    const inputs = readInputs();
+    const status = document.getElementById('simulationResults');
+    const settings = {
+        simulationRuns: parseLocaleNumber(document.getElementById('simulationRuns').value),
+        appreciationVolatility: parseLocaleNumber(document.getElementById('appreciationVolatility').value),
+        returnVolatility: parseLocaleNumber(document.getElementById('returnVolatility').value),
+        rentVolatility: parseLocaleNumber(document.getElementById('rentVolatility').value),
+        inflationVolatility: parseLocaleNumber(document.getElementById('inflationVolatility').value)
+    };
+    
+    if (!checkInputs(Object.assign({}, inputs, settings))) {
+        return;
+    }
+    
+    if (typeof Worker === 'undefined') {
+        status.innerHTML = '<p>Your browser does not support background simulations.</p>';
+        return;
+    }
+    
+    // Abandon any simulation still running from an earlier click
+    if (simulationWorker) {
+        simulationWorker.terminate();
+    }
+    
+    const runs = settings.simulationRuns;
+    const volatilities = {
+        homeAppreciation: settings.appreciationVolatility,
+        investmentReturn: settings.returnVolatility,
+        rentIncrease: settings.rentVolatility,
+        inflationRate: settings.inflationVolatility
+    };
+    
+    document.getElementById('simulationContainer').classList.add('show');
+    status.innerHTML = `<p>Running ${formatNumber(runs)} simulations...</p>`;
+    
+    // Error text is set as text, never parsed as markup
+    const showFailure = (reason) => {
+        status.innerHTML = '<p></p>';
+        status.firstChild.textContent = `Simulation failed: ${reason}`;
+    };
+    
+    simulationWorker = new Worker('rent-vs-buy-worker.js');
+    simulationWorker.onmessage = function(event) {
+        const message = event.data;
+        
+        if (message.type === 'progress') {
+            status.innerHTML = `<p>Running simulations... ${Math.round(message.completed / message.runs * 100)}%</p>`;
+            return;
+        }
+        
+        simulationWorker.terminate();
+        simulationWorker = null;
+        
+        if (message.type === 'error') {
+            showFailure(message.message);
+            return;
+        }
+        
+        displayMonteCarloResults(message, inputs);
+    };
+    simulationWorker.onerror = function(error) {
+        simulationWorker.terminate();
+        simulationWorker = null;
+        showFailure(error.message);
+    };
+    
+    simulationWorker.postMessage({ inputs: inputs, volatilities: volatilities, runs: runs });
+}
+
+function displayMonteCarloResults(results, inputs) {
+    const final = results.final;
+    const dollarBasis = inputs.realDollars ? "today's dollars" : 'future dollars';
+    const describe = (amount) => amount >= 0 ?
+        `buying saves ${formatCurrency(amount)}` :
+        `renting + investing saves ${formatCurrency(Math.abs(amount))}`;
+    
+    document.getElementById('simulationResults').innerHTML = `
+        <div class="simulation-summary">
+            <div class="simulation-probability">${Math.round(final.probabilityBuyingWins * 100)}%</div>
+            <p>chance that buying comes out ahead after ${inputs.timeframe} years (${formatNumber(results.runs)} runs)</p>
+        </div>
+        <div class="result-item">
+            <p><strong>Pessimistic (10th percentile):</strong> ${describe(final.p10)}</p>
+            <p><strong>Median (50th percentile):</strong> ${describe(final.p50)}</p>
+            <p><strong>Optimistic (90th percentile):</strong> ${describe(final.p90)}</p>
+            <small>Outcomes in ${dollarBasis}, including investment opportunity cost</small>
+        </div>
+    `;
+    
+    createMonteCarloChart(results.yearly);
+}
+
+function createMonteCarloChart(yearly) {
+    // Destroy existing chart if it exists
+    if (monteCarloChart) {
+        monteCarloChart.destroy();
+    }
+    
+    const ctx = document.getElementById('monteCarloChart').getContext('2d');
+    
+    monteCarloChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: yearly.map(year => year.year),
+            datasets: [{
+                label: '10th percentile',
+                data: yearly.map(year => year.p10),
+                borderColor: 'rgba(22, 163, 74, 0.4)',
+                borderWidth: 1,
+                fill: false,
+                pointRadius: 0
+            }, {
+                label: 'Median',
+                data: yearly.map(year => year.p50),
+                borderColor: '#16a34a',
+                borderWidth: 3,
+                fill: false,
+                pointRadius: 3
+            }, {
+                label: '90th percentile',
+                data: yearly.map(year => year.p90),
+                borderColor: 'rgba(22, 163, 74, 0.4)',
+                backgroundColor: 'rgba(22, 163, 74, 0.15)',
+                borderWidth: 1,
+                fill: 0,
+                pointRadius: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Buying Advantage'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Years'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        usePointStyle: true,
+                        pointStyle: 'line',
+                        boxWidth: 20,
+                        font: {
+                            size: 14
+                        },
+                        padding: 20
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            }
+        }
+    });
+}
+
+// Numeric inputs to calculateRentCost and calculateBuyingCosts that the sensitivity analysis varies
+const SENSITIVITY_INPUTS = {
+    monthlyRent: 'Monthly rent',
+    securityDeposit: 'Security deposit',
+    rentersInsurance: "Renter's insurance",
+    brokerFee: 'Broker fee',
+    rentIncrease: 'Rent increase',
+    homePrice: 'Purchase price',
+    downPayment: 'Down payment',
+    mortgageTerm: 'Loan term',
+    interestRate: 'Interest rate',
+    closingCosts: 'Closing costs',
+    propertyTaxRate: 'Property tax rate',
+    homeInsurance: "Homeowner's insurance",
+    hoaFees: 'HOA fees',
+    pmiRate: 'PMI rate',
+    additionalUtilities: 'Additional utilities',
+    maintenanceRate: 'Maintenance',
+    sellingCosts: 'Selling costs',
+    homeAppreciation: 'Home appreciation',
+    rentalIncome: 'Rental income',
+    timeframe: 'Years you stay',
+    investmentReturn: 'Investment return',
+    marginalTaxRate: 'Marginal tax rate',
+    taxableIncome: 'Taxable income',
+    otherDeductions: 'Other deductions',
+    capitalGainsTaxRate: 'Capital gains tax rate',
+    inflationRate: 'Inflation',
+    monthlyInvestmentAmount: 'Monthly investment'
+};
+
+// Inputs that only make sense as whole numbers
+const INTEGER_INPUTS = ['mortgageTerm', 'timeframe'];
+
+// Units used when displaying an input's value
+const PERCENT_INPUTS = ['rentIncrease', 'interestRate', 'closingCosts', 'propertyTaxRate', 'pmiRate', 'maintenanceRate', 'sellingCosts',
+                        'homeAppreciation', 'investmentReturn', 'marginalTaxRate', 'capitalGainsTaxRate', 'inflationRate'];
+const YEAR_INPUTS = ['mortgageTerm', 'timeframe'];
+
+// Tipping points shown by default in the break-even thresholds panel
+const HEADLINE_THRESHOLDS = ['homePrice', 'homeAppreciation', 'interestRate', 'monthlyRent'];
+
+const SOLVER_SAMPLES = 60;
+const SOLVER_ITERATIONS = 50;
+
+let sensitivityChart = null;
+let currentSensitivityResults = [];
+
+function isValidScenario(inputs) {
+    return inputs.downPayment < inputs.homePrice && inputs.mortgageTerm >= 1 && inputs.timeframe >= 1;
+}
+
+function scenarioWith(inputs, key, value) {
+    const scenario = Object.assign({}, inputs);
+    scenario[key] = INTEGER_INPUTS.includes(key) ? Math.max(1, Math.round(value)) : value;
+    return scenario;
+}
+
+function calculateSensitivity(inputs, rangePercent) {
+    const baseSavings = runScenario(inputs).savingsWithOpportunityCost;
+    const results = [];
+    
+    Object.keys(SENSITIVITY_INPUTS).forEach(key => {
+        const baseValue = inputs[key];
+        // A relative range can't move an input that is zero, or one these inputs don't use
+        const rule = INPUT_RULES[key];
+        if (!baseValue || (rule && rule.when && !rule.when(inputs))) return;
+        
+        const lowScenario = scenarioWith(inputs, key, baseValue * (1 - rangePercent / 100));
+        const highScenario = scenarioWith(inputs, key, baseValue * (1 + rangePercent / 100));
+        if (!isValidScenario(lowScenario) || !isValidScenario(highScenario)) return;
+        
+        const lowSavings = runScenario(lowScenario).savingsWithOpportunityCost;
+        const highSavings = runScenario(highScenario).savingsWithOpportunityCost;
+        
+        results.push({
+            key: key,
+            label: SENSITIVITY_INPUTS[key],
+            lowValue: lowScenario[key],
+            highValue: highScenario[key],
+            lowSavings: lowSavings,
+            highSavings: highSavings,
+            swing: Math.abs(highSavings - lowSavings)
+        });
+    });
+    
+    // Widest swing first, as in a tornado diagram
+    results.sort((a, b) => b.swing - a.swing);
+    
+    return { baseSavings: baseSavings, results: results };
+}
+
+function calculateHeatmap(inputs, xKey, yKey, spanPoints, steps) {
+    const axisValues = (key) => {
+        const values = [];
+        for (let step = 0; step < steps; step++) {
+            values.push(inputs[key] - spanPoints + (2 * spanPoints * step) / (steps - 1));
+        }
+        return values;
+    };
+    
+    const xValues = axisValues(xKey);
+    const yValues = axisValues(yKey).reverse(); // Highest value on top
+    const cells = yValues.map(yValue => xValues.map(xValue => {
+        const scenario = Object.assign({}, inputs);
+        scenario[xKey] = xValue;
+        scenario[yKey] = yValue;
+        return runScenario(scenario).savingsWithOpportunityCost;
+    }));
+    
+    return { xValues: xValues, yValues: yValues, cells: cells };
+}
+
+function formatInputValue(key, value) {
+    if (PERCENT_INPUTS.includes(key)) {
+        return `${value.toFixed(2)}%`;
+    }
+    if (YEAR_INPUTS.includes(key)) {
+        return `${value.toFixed(1)} years`;
+    }
+    if (key === 'securityDeposit') {
+        return `${value.toFixed(1)} months' rent`;
+    }
+    return formatCurrency(value);
+}
+
+function solveBreakEven(inputs, key, lowerBound, upperBound) {
+    const advantageAt = (value) => {
+        const scenario = scenarioWith(inputs, key, value);
+        return isValidScenario(scenario) ? runScenario(scenario).savingsWithOpportunityCost : NaN;
+    };
+    
+    // Scan the allowed range for sign changes, keeping the one closest to the current value
+    let bracket = null;
+    let previousValue = lowerBound;
+    let previousAdvantage = advantageAt(lowerBound);
+    
+    for (let sample = 1; sample <= SOLVER_SAMPLES; sample++) {
+        const value = lowerBound + (upperBound - lowerBound) * sample / SOLVER_SAMPLES;
+        const advantage = advantageAt(value);
+        
+        if (!isNaN(previousAdvantage) && !isNaN(advantage) && (previousAdvantage > 0) !== (advantage > 0)) {
+            const distance = Math.min(Math.abs(previousValue - inputs[key]), Math.abs(value - inputs[key]));
+            if (!bracket || distance < bracket.distance) {
+                bracket = { low: previousValue, high: value, lowAdvantage: previousAdvantage, distance: distance };
+            }
+        }
+        
+        previousValue = value;
+        previousAdvantage = advantage;
+    }
+    
+    if (!bracket) {
+        return null;
+    }
+    
+    // Bisect down to the crossing
+    let low = bracket.low;
+    let high = bracket.high;
+    for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration++) {
+        const middle = (low + high) / 2;
+        if ((advantageAt(middle) > 0) === (bracket.lowAdvantage > 0)) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    
+    const buyingWinsBelow = bracket.lowAdvantage > 0;
+    let value = (low + high) / 2;
+    
+    // Whole-number inputs jump across the crossing, so report the last value on buying's side
+    if (INTEGER_INPUTS.includes(key)) {
+        value = buyingWinsBelow ? Math.floor(value) : Math.ceil(value);
+    }
+    
+    return {
+        value: value,
+        buyingWinsBelow: buyingWinsBelow
+    };
+}
+
+function getSolverBounds(key, currentValue) {
+    // Search everything validation accepts, so a threshold is never missed for inputs that can be entered
+    const rule = INPUT_RULES[key] || {};
+    const lowerBound = rule.min !== undefined ? rule.min : 0;
+    const upperBound = rule.max !== undefined ? rule.max : Math.max(currentValue * 5, 1000);
+    return { lower: lowerBound, upper: upperBound };
+}
+
+function describeThreshold(inputs, key) {
+    const bounds = getSolverBounds(key, inputs[key]);
+    const threshold = solveBreakEven(inputs, key, bounds.lower, bounds.upper);
+    const label = SENSITIVITY_INPUTS[key];
+    
+    if (!threshold) {
+        const advantage = runScenario(inputs).savingsWithOpportunityCost;
+        return `<p><strong>${label}:</strong> No break-even between ${formatInputValue(key, bounds.lower)} and ${formatInputValue(key, bounds.upper)} - ${advantage > 0 ? 'buying' : 'renting + investing'} wins throughout</p>`;
+    }
+    
+    const side = threshold.buyingWinsBelow ? 'below' : 'above';
+    return `<p><strong>${label}:</strong> ${formatInputValue(key, threshold.value)} ` +
+           `<small>Buying wins ${INTEGER_INPUTS.includes(key) ? 'at or ' + side : side} this (currently ${formatInputValue(key, inputs[key])})</small></p>`;
+}
+
+function renderBreakEvenThresholds(inputs) {
+    const options = Object.keys(SENSITIVITY_INPUTS)
+        .map(key => `<option value="${key}">${SENSITIVITY_INPUTS[key]}</option>`)
+        .join('');
+    
+    return `
+                    <p><small>The value of each input at which renting + investing and buying cost exactly the same, with everything else held fixed</small></p>
+                    ${HEADLINE_THRESHOLDS.map(key => describeThreshold(inputs, key)).join('')}
+                    <div class="solver-controls">
+                        <select id="solverInput">${options}</select>
+                        <button type="button" class="toggle-btn" onclick="solveSelectedThreshold()">SOLVE</button>
+                    </div>
+                    <div id="solverResult"></div>
+    `;
+}
+
+function solveSelectedThreshold() {
+    const inputs = readInputs();
+    if (!checkInputs(inputs)) {
+        return;
+    }
+    const key = document.getElementById('solverInput').value;
+    document.getElementById('solverResult').innerHTML = describeThreshold(inputs, key);
+}
+
+function runSensitivityAnalysis(inputs) {
+    const rangePercent = parseLocaleNumber(document.getElementById('sensitivityRange').value) || 0;
+    const sensitivity = calculateSensitivity(inputs, rangePercent);
+    
+    createSensitivityChart(sensitivity, rangePercent);
+    renderHeatmap(inputs);
+    
+    document.getElementById('sensitivityContainer').classList.add('show');
+}
+
+function rerunSensitivityAnalysis() {
+    // Only re-run if results are already on screen
+    if (document.querySelector('#results .cost-comparison')) {
+        const inputs = readInputs();
+        if (isValidScenario(inputs)) {
+            runSensitivityAnalysis(inputs);
+        }
+    }
+}
+
+function createSensitivityChart(sensitivity, rangePercent) {
+    const results = sensitivity.results;
+    const base = sensitivity.baseSavings;
+    
+    // Store the results globally so the tooltip reads the latest run
+    currentSensitivityResults = results;
+    
+    // Scale the canvas with the number of bars so labels stay readable
+    document.getElementById('sensitivityChartWrapper').style.height = Math.max(200, results.length * 28 + 80) + 'px';
+    
+    // Swap the data into the existing chart rather than rebuilding it, so live edits don't flicker
+    if (sensitivityChart) {
+        sensitivityChart.data.labels = results.map(result => result.label);
+        sensitivityChart.data.datasets[0].label = `Input ${rangePercent}% lower`;
+        sensitivityChart.data.datasets[0].data = results.map(result => [base, result.lowSavings]);
+        sensitivityChart.data.datasets[1].label = `Input ${rangePercent}% higher`;
+        sensitivityChart.data.datasets[1].data = results.map(result => [base, result.highSavings]);
+        sensitivityChart.update();
+        return;
+    }
+    
+    const ctx = document.getElementById('sensitivityChart').getContext('2d');
+    sensitivityChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: results.map(result => result.label),
+            datasets: [{
+                label: `Input ${rangePercent}% lower`,
+                data: results.map(result => [base, result.lowSavings]),
+                backgroundColor: 'rgba(37, 99, 235, 0.7)',
+                borderColor: '#2563eb',
+                borderWidth: 1
+            }, {
+                label: `Input ${rangePercent}% higher`,
+                data: results.map(result => [base, result.highSavings]),
+                backgroundColor: 'rgba(22, 163, 74, 0.7)',
+                borderColor: '#16a34a',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Buying Advantage'
+                    }
+                },
+                y: {
+                    stacked: true
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        font: {
+                            size: 14
+                        },
+                        padding: 20
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const result = currentSensitivityResults[context.dataIndex];
+                            const isLow = context.datasetIndex === 0;
+                            const value = isLow ? result.lowValue : result.highValue;
+                            const savings = isLow ? result.lowSavings : result.highSavings;
+                            return `${result.label} = ${formatNumber(value, 2)}: ${formatCurrency(savings)}`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderHeatmap(inputs) {
+    const xKey = document.getElementById('heatmapX').value;
+    const yKey = document.getElementById('heatmapY').value;
+    const spanPoints = parseLocaleNumber(document.getElementById('heatmapSpan').value) || 1;
+    const container = document.getElementById('sensitivityHeatmap');
+    
+    if (xKey === yKey) {
+        container.innerHTML = '<p><small>Choose two different inputs for the heatmap.</small></p>';
+        return;
+    }
+    
+    const heatmap = calculateHeatmap(inputs, xKey, yKey, spanPoints, 7);
+    const largest = Math.max(...heatmap.cells.map(row => Math.max(...row.map(Math.abs)))) || 1;
+    
+    const cellStyle = (savings) => {
+        // Green when buying wins, blue when renting wins, deeper for bigger margins
+        const strength = 0.15 + 0.75 * Math.abs(savings) / largest;
+        return savings > 0 ? `background: rgba(22, 163, 74, ${strength})` : `background: rgba(37, 99, 235, ${strength})`;
+    };
+    const formatRate = (value) => `${value.toFixed(1)}%`;
+    
+    const rows = heatmap.yValues.map((yValue, rowIndex) => `
+            <tr>
+                <th>${formatRate(yValue)}</th>
+                ${heatmap.cells[rowIndex].map(savings => `<td style="${cellStyle(savings)}" title="${savings > 0 ? 'Buying' : 'Renting'} wins by ${formatCurrency(Math.abs(savings))}">${savings > 0 ? 'Buy' : 'Rent'}</td>`).join('')}
+            </tr>`).join('');
+    
+    container.innerHTML = `
+        <table class="heatmap-table">
+            <tbody>${rows}
+                <tr>
+                    <th></th>
+                    ${heatmap.xValues.map(xValue => `<th>${formatRate(xValue)}</th>`).join('')}
+                </tr>
+            </tbody>
+        </table>
+        <p class="heatmap-axis-label"><small>Rows: ${SENSITIVITY_INPUTS[yKey]} &middot; Columns: ${SENSITIVITY_INPUTS[xKey]}</small></p>
+    `;
+}
+
+function addDetailedBreakdown(rentingCost, buyingResults, timeframe, downPayment, investmentReturn, rentingWithInvestment, savingsWithOpportunityCost, securityDeposit, monthlyRent, brokerFee) {
+    // Calculate breakdown components for the detailed table
+    const rentInitialCosts = securityDeposit * monthlyRent + brokerFee;
+    const rentRecurringCosts = rentingCost - rentInitialCosts;
+    const rentNetProceeds = securityDeposit * monthlyRent; // Get security deposit back
+    
+    const buyInitialCosts = downPayment + buyingResults.totalClosingCosts;
+    const buyRecurringCosts = buyingResults.totalHousingCosts - buyingResults.totalRentalIncome - buyingResults.totalTaxBenefits;
+    
+    const rentInvestmentGrowth = buyingResults.downPaymentOpportunityCost + buyingResults.rentingInvestmentGrowth;
+    const rentTotal = rentInitialCosts + rentRecurringCosts - rentNetProceeds - rentInvestmentGrowth;
+    const buyTotal = buyInitialCosts + buyRecurringCosts - buyingResults.netProceeds - buyingResults.totalMonthlyInvestmentGrowth;
+    
+    const savings = rentTotal - buyTotal;
+    const betterOption = savings > 0 ? 'buying' : 'renting';
+    const savingsAmount = Math.abs(savings);
+    
+    const breakdownHTML = `
+        <div class="detailed-breakdown">
+            <div class="breakdown-header">
+                <div class="breakdown-title">Total costs after ${timeframe} years</div>
+                <div class="breakdown-subtitle">
+                    ${betterOption === 'renting' ? 'Renting' : 'Buying'} is ${formatCurrency(savingsAmount)} less than ${betterOption === 'renting' ? 'buying' : 'renting'}
+                </div>
+            </div>
+            
+            <table class="breakdown-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th class="rent-col">Rent</th>
+                        <th class="buy-col">Buy</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td class="category">Initial costs <span class="tooltip-icon" data-tooltip="initial">?</span></td>
+                        <td class="rent-col">${formatCurrency(securityDeposit * monthlyRent + brokerFee)}</td>
+                        <td class="buy-col">${formatCurrency(downPayment + buyingResults.totalClosingCosts)}</td>
+                    </tr>
+                    <tr>
+                        <td class="category">Recurring costs <span class="tooltip-icon" data-tooltip="recurring">?</span></td>
+                        <td class="rent-col">${formatCurrency(rentingCost - securityDeposit * monthlyRent - brokerFee)}</td>
+                        <td class="buy-col">${formatCurrency(buyingResults.totalHousingCosts - buyingResults.totalRentalIncome - buyingResults.totalTaxBenefits)}</td>
+                    </tr>
+                    <tr>
+                        <td class="category">Net proceeds <span class="tooltip-icon" data-tooltip="proceeds">?</span></td>
+                        <td class="rent-col">${formatCurrency(securityDeposit * monthlyRent)}</td>
+                        <td class="buy-col">${formatCurrency(buyingResults.netProceeds)}</td>
+                    </tr>
+                    <tr>
+                        <td class="category">Investment opportunity <span class="tooltip-icon" data-tooltip="opportunity">?</span></td>
+                        <td class="rent-col">${formatCurrency(-rentInvestmentGrowth)}</td>
+                        <td class="buy-col">${formatCurrency(-buyingResults.totalMonthlyInvestmentGrowth)}</td>
+                    </tr>
+                    <tr class="total-row">
+                        <td class="category">Total with opportunity cost</td>
+                        <td class="rent-col">${formatCurrency(rentTotal)}</td>
+                        <td class="buy-col">${formatCurrency(buyTotal)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    document.getElementById('detailedBreakdown').innerHTML = breakdownHTML;
+    
+    // Add tooltip functionality with a small delay to ensure DOM is ready
+    setTimeout(() => {
+        addTooltipListeners();
+    }, 100);
+}
+
+function addTooltipListeners() {
     const tooltipTexts = {
         initial: "<strong>Initial costs:</strong><br>Renting: Security deposit and broker fees<br>Buying: Down payment and closing costs (loan origination, appraisal, inspection, etc.)",
         recurring: "<strong>Recurring costs:</strong><br>Renting: All rent payments over the timeframe<br>Buying: Mortgage payments, property taxes, insurance, maintenance, PMI, utilities minus rental income and tax benefits",
-        opportunity: "<strong>Investment opportunity:</strong><br>Renting: Money gained by investing the down payment instead of buying (shown as negative because it reduces total cost)<br>Buying: Money gained by investing monthly savings from lower housing costs",
-        proceeds: "<strong>Net proceeds:</strong><br>Renting: Security deposit returned<br>Buying: Money received from selling the home, minus realtor fees and remaining mortgage balance"
+        opportunity: "<strong>Investment opportunity:</strong><br>Renting: Money gained by investing the down payment instead of buying (shown as negative because it reduces total cost), plus earnings on any months renting costs less<br>Buying: Money gained by investing monthly savings from lower housing costs<br>Both are after capital gains tax on the growth",
+        proceeds: "<strong>Net proceeds:</strong><br>Renting: Security deposit returned<br>Buying: Money received from selling the home, minus realtor fees, remaining mortgage balance and any capital gains tax above the home sale exclusion"
     };
     
     const tooltipIcons = document.querySelectorAll('.tooltip-icon');
@@ -859,26 +1722,739 @@ function toggleSection(sectionId) {
     }
 }
 
-function toggleOptions(optionsId) {
-    const options = document.getElementById(optionsId);
-    const toggleText = document.getElementById(optionsId.replace('-options', '-toggle-text'));
+// Fields a location preset fills in, and how each figure reads in its source note
+const PRESET_FIELDS = {
+    propertyTaxRate: value => `${value}%`,
+    homeInsurance: value => `${formatCurrency(value)}/year`,
+    homeAppreciation: value => `${value}%/year`,
+    rentIncrease: value => `${value}%/year`,
+    closingCosts: value => `${value}%`
+};
+
+function getRegionalPreset(regionId) {
+    // Region ids are "state:TX" or "metro:austin"; a metro takes anything it doesn't list from its state
+    const [type, key] = regionId.split(':');
+    if (type === 'state' && REGIONAL_STATES[key]) {
+        return REGIONAL_STATES[key];
+    }
+    if (type === 'metro' && REGIONAL_METROS[key]) {
+        const metro = REGIONAL_METROS[key];
+        const state = REGIONAL_STATES[metro.state];
+        // Figures the metro inherits are credited to the state in their source note
+        const sourceNames = {};
+        Object.keys(PRESET_FIELDS).forEach(field => {
+            sourceNames[field] = field in metro ? metro.name : state.name;
+        });
+        return Object.assign({}, state, metro, { sourceNames });
+    }
+    return null;
+}
+
+function regionalPresetsAvailable() {
+    // The presets are US figures in dollars, so they're only offered while amounts are shown in dollars
+    return getCurrency() === 'USD';
+}
+
+function updateRegionAvailability() {
+    document.getElementById('region').closest('.input-group').hidden = !regionalPresetsAvailable();
+    showPresetSources();
+}
+
+function renderRegionOptions() {
+    const options = (regions, type) => Object.keys(regions)
+        .sort((a, b) => regions[a].name.localeCompare(regions[b].name))
+        .map(key => `<option value="${type}:${key}">${regions[key].name}</option>`)
+        .join('');
+    
+    document.getElementById('region').insertAdjacentHTML('beforeend', `
+        <optgroup label="Metro areas">${options(REGIONAL_METROS, 'metro')}</optgroup>
+        <optgroup label="States">${options(REGIONAL_STATES, 'state')}</optgroup>
+    `);
+}
+
+function applyRegionalPreset() {
+    const preset = regionalPresetsAvailable() ? getRegionalPreset(document.getElementById('region').value) : null;
+    if (preset) {
+        Object.keys(PRESET_FIELDS).forEach(field => {
+            document.getElementById(field).value = toLocaleInputText(preset[field]);
+        });
+    }
+    showPresetSources();
+}
+
+function showPresetSources() {
+    // The note stays after a field is overridden, so the typical local figure is still there to compare with
+    const preset = regionalPresetsAvailable() ? getRegionalPreset(document.getElementById('region').value) : null;
     
-    if (options.classList.contains('show')) {
-        options.classList.remove('show');
-        toggleText.textContent = 'SHOW OPTIONS';
-    } else {
-        options.classList.add('show');
-        toggleText.textContent = 'HIDE OPTIONS';
+    Object.keys(PRESET_FIELDS).forEach(field => {
+        let note = document.getElementById(`${field}-source`);
+        if (!preset) {
+            if (note) note.remove();
+            return;
+        }
+        
+        if (!note) {
+            note = document.createElement('small');
+            note.id = `${field}-source`;
+            note.className = 'preset-source';
+            document.getElementById(field).closest('.input-group').appendChild(note);
+        }
+        const source = REGIONAL_SOURCES[field];
+        const regionName = preset.sourceNames ? preset.sourceNames[field] : preset.name;
+        note.textContent = `Typical for ${regionName}: ${PRESET_FIELDS[field](preset[field])} (${source.name}, ${source.vintage})`;
+    });
+}
+
+// Short URL keys for every field calculateComparison reads
+const SHARE_PARAMS = {
+    region: 'loc',
+    monthlyRent: 'r',
+    securityDeposit: 'sd',
+    rentersInsurance: 'ri',
+    brokerFee: 'bf',
+    rentIncrease: 'rg',
+    homePrice: 'p',
+    downPayment: 'dp',
+    mortgageTerm: 't',
+    interestRate: 'ir',
+    loanType: 'lt',
+    armIndexRate: 'ai',
+    armMargin: 'am',
+    armInitialCap: 'ac1',
+    armPeriodicCap: 'acp',
+    armLifetimeCap: 'acl',
+    armIndexPath: 'ap',
+    armIndexRise: 'ar',
+    armIndexValues: 'av',
+    closingCosts: 'cc',
+    propertyTaxRate: 'pt',
+    homeInsurance: 'hi',
+    hoaFees: 'hoa',
+    creditScore: 'cs',
+    pmiRate: 'pr',
+    pmiEarlyRemoval: 'pe',
+    extraPrincipal: 'xp',
+    lumpSums: 'ls',
+    biweeklyPayments: 'bw',
+    additionalUtilities: 'u',
+    maintenanceRate: 'm',
+    sellingCosts: 'sc',
+    homeAppreciation: 'a',
+    propertyTaxIncrease: 'ptg',
+    insuranceIncrease: 'hig',
+    hoaIncrease: 'hoag',
+    utilitiesIncrease: 'ug',
+    maintenanceIncrease: 'mg',
+    rentalIncome: 'hh',
+    rentalIncomeGrowth: 'hhg',
+    rentalVacancy: 'hhv',
+    landlordExpenses: 'hhe',
+    rentedShare: 'hhs',
+    landValue: 'lv',
+    timeframe: 'y',
+    investmentReturn: 'ret',
+    investmentMode: 'im',
+    monthlyInvestmentAmount: 'inv',
+    filingStatus: 'fs',
+    taxYear: 'ty',
+    taxableIncome: 'ti',
+    stateLocalTaxes: 'slt',
+    otherDeductions: 'od',
+    marginalTaxRate: 'mtr',
+    capitalGainsTaxRate: 'cg',
+    inflationRate: 'inf',
+    realDollars: 'real'
+};
+
+// Option panels whose open/closed state travels with the link
+const SHARE_PANELS = {
+    'renting-options': 'r',
+    'buying-options': 'b',
+    'hacking-options': 'h',
+    'additional-options': 'a',
+    'simulation-options': 's'
+};
+
+function getFieldValue(element) {
+    return element.type === 'checkbox' ? (element.checked ? '1' : '0') : element.value;
+}
+
+function isNumberField(element) {
+    // Number inputs become text inputs under a decimal-comma locale, and keep this marker
+    return element.type === 'number' || element.hasAttribute('data-number-input');
+}
+
+function getShareValue(element, value, parseNumber) {
+    // Numbers travel as plain "6.5", so a link or saved scenario reads the same in every locale
+    if (!isNumberField(element) || value === '') {
+        return value;
+    }
+    const number = parseNumber(value);
+    return isNaN(number) ? value : String(number);
+}
+
+function getFieldDefault(element) {
+    if (element.type === 'checkbox') {
+        return element.defaultChecked ? '1' : '0';
+    }
+    if (element.tagName === 'SELECT') {
+        const defaultOption = Array.from(element.options).find(option => option.defaultSelected) || element.options[0];
+        return defaultOption.value;
+    }
+    return element.defaultValue;
+}
+
+function serializeScenario() {
+    const params = new URLSearchParams();
+    
+    // Only fields that differ from the page defaults are written, to keep links short
+    Object.keys(SHARE_PARAMS).forEach(id => {
+        const element = document.getElementById(id);
+        const value = getShareValue(element, getFieldValue(element), parseLocaleNumber);
+        if (value !== getShareValue(element, getFieldDefault(element), parseFloat)) {
+            params.set(SHARE_PARAMS[id], value);
+        }
+    });
+    
+    const openPanels = Object.keys(SHARE_PANELS)
+        .filter(id => document.getElementById(id).classList.contains('show'))
+        .map(id => SHARE_PANELS[id])
+        .join('');
+    if (openPanels) {
+        params.set('o', openPanels);
+    }
+    
+    return params.toString();
+}
+
+function restoreScenario(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    let restored = false;
+    
+    Object.keys(SHARE_PARAMS).forEach(id => {
+        const element = document.getElementById(id);
+        const value = params.has(SHARE_PARAMS[id]) ? params.get(SHARE_PARAMS[id]) : getFieldDefault(element);
+        
+        if (element.type === 'checkbox') {
+            element.checked = value === '1';
+        } else {
+            element.value = isNumberField(element) ? toLocaleInputText(value) : value;
+        }
+        restored = restored || params.has(SHARE_PARAMS[id]);
+    });
+    
+    const openPanels = params.get('o') || '';
+    Object.keys(SHARE_PANELS).forEach(id => {
+        const isOpen = document.getElementById(id).classList.contains('show');
+        if (isOpen !== openPanels.includes(SHARE_PANELS[id])) {
+            toggleOptions(id);
+        }
+    });
+    
+    showPresetSources();
+    
+    return restored || params.has('o');
+}
+
+function updateShareableUrl() {
+    const hash = serializeScenario();
+    history.replaceState(null, '', hash ? '#' + hash : window.location.pathname + window.location.search);
+}
+
+function copyShareLink() {
+    updateShareableUrl();
+    const status = document.getElementById('shareStatus');
+    
+    navigator.clipboard.writeText(window.location.href).then(() => {
+        status.textContent = 'Link copied to clipboard';
+    }).catch(() => {
+        status.textContent = 'Copy the link from your address bar';
+    });
+}
+
+function formatReportValue(element) {
+    if (element.type === 'checkbox') {
+        return element.checked ? 'Yes' : 'No';
+    }
+    if (element.tagName === 'SELECT') {
+        return element.selectedIndex >= 0 && element.value !== '' ? element.options[element.selectedIndex].textContent.trim() : 'Not set';
+    }
+    return element.value === '' ? 'Not set' : formatNumber(parseLocaleNumber(element.value), 3);
+}
+
+function renderReportHeader() {
+    const rows = Object.keys(SHARE_PARAMS)
+        .filter(field => document.getElementById(field))
+        .map(field => `
+            <tr>
+                <td>${escapeHtml(getFieldLabel(field))}</td>
+                <td>${escapeHtml(formatReportValue(document.getElementById(field)))}</td>
+            </tr>
+        `).join('');
+    
+    document.getElementById('reportHeader').innerHTML = `
+        <h2>Rent vs Buy Analysis</h2>
+        <p><small>Prepared ${new Date().toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', day: 'numeric' })}</small></p>
+        <h3>Inputs</h3>
+        <table class="report-inputs">
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function snapshotCharts() {
+    // Canvases don't resize reliably for paper, so each drawn chart is printed as a still image of itself
+    document.querySelectorAll('.results-section canvas').forEach(canvas => {
+        if (!Chart.getChart(canvas)) return;
+        
+        const image = document.createElement('img');
+        image.className = 'chart-snapshot';
+        image.src = canvas.toDataURL('image/png');
+        image.alt = canvas.closest('.chart-container').querySelector('h3').textContent;
+        canvas.after(image);
+    });
+}
+
+function removeChartSnapshots() {
+    document.querySelectorAll('.chart-snapshot').forEach(image => image.remove());
+}
+
+function printReport() {
+    if (!document.querySelector('#results .cost-comparison')) {
+        calculateComparison();
+    }
+    if (!document.querySelector('#results .cost-comparison') || document.getElementById('results').classList.contains('stale')) {
+        document.getElementById('shareStatus').textContent = 'Fix the highlighted fields before printing';
+        return;
+    }
+    
+    flushDetailedAnalysis();
+    renderReportHeader();
+    removeChartSnapshots();
+    snapshotCharts();
+    
+    // The print stylesheet expands every results section and lays the report out for paper; "Save as PDF" in the dialog makes the PDF
+    window.print();
+}
+
+// Spreadsheet headers for the cash flow ledger, in column order
+const LEDGER_COLUMNS = {
+    month: 'Month',
+    year: 'Year',
+    rent: 'Rent',
+    rentersInsurance: "Renter's insurance",
+    mortgagePayment: 'Mortgage payment',
+    interest: 'Interest',
+    principal: 'Principal',
+    propertyTax: 'Property tax',
+    homeInsurance: 'Home insurance',
+    hoaFees: 'HOA fees',
+    pmi: 'PMI',
+    utilities: 'Additional utilities',
+    maintenance: 'Maintenance',
+    ownershipCost: 'Total ownership cost',
+    rentalIncome: 'Net rental income',
+    taxBenefit: 'Tax benefit',
+    homeValue: 'Home value',
+    loanBalance: 'Loan balance',
+    equity: 'Equity',
+    rentingInvestedBalance: 'Invested balance (renting)',
+    buyingInvestedBalance: 'Invested balance (buying)',
+    totalRentPaid: 'Total rent paid',
+    totalOwnershipCost: 'Total ownership cost to date',
+    totalRentalIncome: 'Total net rental income',
+    totalTaxBenefit: 'Total tax benefit'
+};
+
+function downloadFile(filename, type, contents) {
+    const url = URL.createObjectURL(new Blob([contents], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function calculateLedger() {
+    const inputs = readInputs();
+    return checkInputs(inputs) ? calculateRentVsBuy(inputs) : null;
+}
+
+function exportLedgerCsv(period) {
+    const result = calculateLedger();
+    if (!result) return;
+    
+    // Plain numbers with a decimal point, whatever the page's number format, so spreadsheets read them as values
+    const ledger = result.ledger[period];
+    const columns = Object.keys(LEDGER_COLUMNS).filter(column => column in ledger[0]);
+    const rows = ledger.map(row =>
+        columns.map(column => Number.isInteger(row[column]) ? row[column] : row[column].toFixed(2)).join(','));
+    const header = columns.map(column => `"${LEDGER_COLUMNS[column]}"`).join(',');
+    
+    downloadFile(`rent-vs-buy-${period}.csv`, 'text/csv', [header].concat(rows).join('\n') + '\n');
+}
+
+function exportLedgerJson() {
+    const result = calculateLedger();
+    if (!result) return;
+    
+    // Blank optional fields are NaN in the inputs and come out as null
+    const report = {
+        modelVersion: result.modelVersion,
+        generated: new Date().toISOString(),
+        currency: getCurrency(),
+        dollars: result.inputs.realDollars ? 'today' : 'future',
+        inputs: result.inputs,
+        summary: result.summary,
+        yearly: result.ledger.yearly,
+        monthly: result.ledger.monthly
+    };
+    
+    downloadFile('rent-vs-buy.json', 'application/json', JSON.stringify(report, null, 2));
+}
+
+const SCENARIO_STORAGE_KEY = 'rentVsBuyScenarios';
+const SCENARIO_COLORS = ['#16a34a', '#2563eb', '#dc2626', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+let scenarioComparisonChart = null;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, character => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[character]);
+}
+
+function loadScenarios() {
+    try {
+        return JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Could not read saved scenarios:', error);
+        return [];
+    }
+}
+
+function saveScenarios(scenarios) {
+    // Storage can be blocked (private browsing, disabled site data) or full; say so rather than lose the change quietly
+    const status = document.getElementById('scenarioStatus');
+    try {
+        localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (error) {
+        console.error('Could not save scenarios:', error);
+        status.textContent = 'Scenarios could not be saved - this browser is blocking or out of storage for this site';
+        return false;
+    }
+    
+    status.textContent = '';
+    renderScenarioList();
+    return true;
+}
+
+function findScenario(scenarios, scenarioId) {
+    return scenarios.find(scenario => scenario.id === scenarioId);
+}
+
+function readScenarioInputs(scenario) {
+    // Saved scenarios use the same compact encoding as shareable links, with plain numbers like the page defaults
+    const params = new URLSearchParams(scenario.params);
+    return readInputs(id => params.has(SHARE_PARAMS[id]) ? params.get(SHARE_PARAMS[id]) : getFieldDefault(document.getElementById(id)), parseFloat);
+}
+
+function saveCurrentScenario() {
+    const scenarios = loadScenarios();
+    const nameInput = document.getElementById('scenarioName');
+    const name = nameInput.value.trim() || `Scenario ${scenarios.length + 1}`;
+    
+    scenarios.push({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name,
+        params: serializeScenario()
+    });
+    
+    if (saveScenarios(scenarios)) {
+        nameInput.value = '';
+    }
+}
+
+function loadScenario(scenarioId) {
+    const scenario = findScenario(loadScenarios(), scenarioId);
+    if (!scenario) return;
+    
+    restoreScenario(scenario.params);
+    calculateComparison();
+}
+
+function duplicateScenario(scenarioId) {
+    const scenarios = loadScenarios();
+    const scenario = findScenario(scenarios, scenarioId);
+    if (!scenario) return;
+    
+    const copy = Object.assign({}, scenario, {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: `${scenario.name} (copy)`
+    });
+    scenarios.splice(scenarios.indexOf(scenario) + 1, 0, copy);
+    saveScenarios(scenarios);
+}
+
+function renameScenario(scenarioId) {
+    const scenarios = loadScenarios();
+    const scenario = findScenario(scenarios, scenarioId);
+    if (!scenario) return;
+    
+    const name = prompt('Rename scenario', scenario.name);
+    if (name && name.trim()) {
+        scenario.name = name.trim();
+        saveScenarios(scenarios);
+    }
+}
+
+function deleteScenario(scenarioId) {
+    const scenarios = loadScenarios();
+    const scenario = findScenario(scenarios, scenarioId);
+    if (!scenario || !confirm(`Delete "${scenario.name}"?`)) return;
+    
+    saveScenarios(scenarios.filter(saved => saved.id !== scenarioId));
+}
+
+function renderScenarioList() {
+    const scenarios = loadScenarios();
+    const list = document.getElementById('scenarioList');
+    
+    if (scenarios.length === 0) {
+        list.innerHTML = '<p><small>No saved scenarios yet. Enter a home\'s details below and save them here.</small></p>';
+        return;
+    }
+    
+    list.innerHTML = scenarios.map(scenario => `
+        <div class="scenario-row">
+            <label class="scenario-name">
+                <input type="checkbox" class="scenario-select" value="${scenario.id}" checked>
+                ${escapeHtml(scenario.name)}
+            </label>
+            <div class="scenario-actions">
+                <button type="button" class="toggle-btn" onclick="loadScenario('${scenario.id}')">LOAD</button>
+                <button type="button" class="toggle-btn" onclick="duplicateScenario('${scenario.id}')">DUPLICATE</button>
+                <button type="button" class="toggle-btn" onclick="renameScenario('${scenario.id}')">RENAME</button>
+                <button type="button" class="toggle-btn" onclick="deleteScenario('${scenario.id}')">DELETE</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function compareScenarios() {
+    const scenarios = loadScenarios();
+    const selectedIds = Array.from(document.querySelectorAll('.scenario-select:checked')).map(checkbox => checkbox.value);
+    const selected = scenarios.filter(scenario => selectedIds.includes(scenario.id));
+    const container = document.getElementById('scenarioComparison');
+    
+    if (selected.length === 0) {
+        container.innerHTML = '<p>Select at least one saved scenario to compare.</p>';
+        return;
+    }
+    
+    // Saved scenarios get the same checks as the form, so a blank or out-of-range field is named instead of priced
+    const describeMessages = messages => messages.map(message => `${escapeHtml(getFieldLabel(message.field))}: ${message.message}`).join('; ');
+    const comparisons = selected.map(scenario => {
+        const inputs = readScenarioInputs(scenario);
+        const validation = validateInputs(inputs, getLocale());
+        if (!validation.isValid) {
+            return { scenario: scenario, inputs: inputs, error: describeMessages(validation.errors) };
+        }
+        
+        return { scenario: scenario, inputs: inputs, results: runScenario(inputs), warning: describeMessages(validation.warnings) };
+    });
+    
+    const rows = comparisons.map(comparison => {
+        if (comparison.error) {
+            return `
+                <tr>
+                    <td class="category">${escapeHtml(comparison.scenario.name)}</td>
+                    <td colspan="7" class="field-error">${comparison.error}</td>
+                </tr>`;
+        }
+        
+        const { inputs, results } = comparison;
+        const savings = results.savingsWithOpportunityCost;
+        return `
+                <tr>
+                    <td class="category">${escapeHtml(comparison.scenario.name)}${comparison.warning ? `<small class="field-warning">${comparison.warning}</small>` : ''}</td>
+                    <td>${formatCurrency(inputs.homePrice)}</td>
+                    <td>${formatCurrency(inputs.monthlyRent + inputs.rentersInsurance)}</td>
+                    <td>${formatCurrency(results.buyingResults.netMonthlyHousingCost)}</td>
+                    <td>${formatCurrency(results.rentingWithInvestment)}</td>
+                    <td>${formatCurrency(results.buyingCostWithInvestment)}</td>
+                    <td class="${savings > 0 ? 'savings' : ''}">${savings > 0 ? 'Buy' : 'Rent'} saves ${formatCurrency(Math.abs(savings))}</td>
+                    <td>${results.breakEvenYear === null ? `Not within ${inputs.timeframe} yrs` : `${results.breakEvenYear.toFixed(1)} yrs`}</td>
+                </tr>`;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="detailed-breakdown">
+            <div class="breakdown-header">
+                <div class="breakdown-title">Scenario comparison</div>
+                <div class="breakdown-subtitle">Totals include investment opportunity cost over each scenario's own timeframe</div>
+            </div>
+            <div class="comparison-table-wrapper">
+                <table class="breakdown-table comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Scenario</th>
+                            <th>Home price</th>
+                            <th>Monthly rent</th>
+                            <th>Monthly buy cost</th>
+                            <th>Renting total</th>
+                            <th>Buying total</th>
+                            <th>Verdict</th>
+                            <th>Break-even</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            <div class="chart-container">
+                <h3>Buying Advantage Over Time</h3>
+                <p><small>Renting total minus buying total if you move out after each year; each line crosses zero at its break-even year</small></p>
+                <canvas id="scenarioComparisonChart"></canvas>
+            </div>
+        </div>
+    `;
+    
+    createScenarioComparisonChart(comparisons.filter(comparison => !comparison.error));
+}
+
+function createScenarioComparisonChart(comparisons) {
+    // Destroy existing chart if it exists
+    if (scenarioComparisonChart) {
+        scenarioComparisonChart.destroy();
+    }
+    
+    const ctx = document.getElementById('scenarioComparisonChart').getContext('2d');
+    const maxYears = Math.max(...comparisons.map(comparison => comparison.inputs.timeframe));
+    const years = [];
+    for (let year = 0; year <= maxYears; year++) {
+        years.push(year);
     }
+    
+    scenarioComparisonChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: years,
+            datasets: comparisons.map((comparison, index) => {
+                const color = SCENARIO_COLORS[index % SCENARIO_COLORS.length];
+                return {
+                    label: comparison.scenario.name,
+                    data: comparison.results.yearly.map(year => year.savingsWithOpportunityCost),
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 3
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Buying Advantage'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Years'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        usePointStyle: true,
+                        pointStyle: 'line',
+                        boxWidth: 20,
+                        font: {
+                            size: 14
+                        },
+                        padding: 20
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            }
+        }
+    });
 }
 
+// Milliseconds to wait after the last keystroke before recalculating
+const LIVE_RECALCULATION_DELAY = 250;
+
 // Add event listeners for real-time calculation
 document.addEventListener('DOMContentLoaded', function() {
-    const inputs = document.querySelectorAll('input[type="number"]');
+    renderScenarioList();
+    renderRegionOptions();
+    updateRegionAvailability();
+    
+    // Open a shared scenario straight to its results
+    if (window.location.hash && restoreScenario(window.location.hash)) {
+        calculateComparison();
+    }
+    
+    // Show results in the newly chosen currency
+    window.addEventListener('localechange', function() {
+        updateRegionAvailability();
+        if (document.querySelector('#results .cost-comparison')) {
+            calculateComparison();
+        }
+    });
+    
+    // Opening or closing an options panel is part of the shareable link
+    document.querySelectorAll('.options-toggle .toggle-btn').forEach(button => {
+        button.addEventListener('click', updateShareableUrl);
+    });
+    
+    // Back to live charts once the report has printed
+    window.addEventListener('afterprint', removeChartSnapshots);
+    
+    window.addEventListener('hashchange', function() {
+        if (restoreScenario(window.location.hash)) {
+            calculateComparison();
+        }
+    });
+    
+    // Recalculate as inputs change, once typing pauses. Simulation settings only apply when a simulation is run.
+    let recalculationTimer = null;
+    const inputs = document.querySelectorAll('.input-section input, .input-section select');
     inputs.forEach(input => {
+        if (input.closest('#simulation-options')) return;
         input.addEventListener('input', function() {
-            // Optional: Add real-time calculation here
-            // calculateComparison();
+            clearTimeout(recalculationTimer);
+            recalculationTimer = setTimeout(calculateComparison, LIVE_RECALCULATION_DELAY);
         });
     });
 });
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Rent vs Buy Engine Tests
+ * Pins known mortgage, amortization, PMI and ARM values. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    calculateMortgagePayment,
+    buildAmortizationSchedule,
+    buildRateSchedule,
+    calculateRentVsBuy,
+    runScenario,
+    validateInputs,
+    DEFAULT_INPUTS
+} = require('../rent-vs-buy-engine.js');
+
+test('monthly payment on a 30-year loan matches the standard formula', () => {
+    assert.strictEqual(calculateMortgagePayment(320000, 7, 30).toFixed(2), '2128.97');
+});
+
+test('monthly payment with no interest is the principal spread over the term', () => {
+    assert.strictEqual(calculateMortgagePayment(360000, 0, 30), 1000);
+});
+
+test('amortization pays the loan off exactly at the end of the term', () => {
+    const schedule = buildAmortizationSchedule(400000, 80000, 7, 30, 3, 360, {}, {}, { monthlyAmount: 0 });
+    
+    assert.strictEqual(schedule.length, 360);
+    assert.ok(Math.abs(schedule[359].balance) < 0.01);
+    assert.ok(Math.abs(schedule[359].cumulativePrincipal - 320000) < 0.01);
+});
+
+test('PMI cancels automatically once the scheduled balance reaches 78% of the price', () => {
+    // 10% down on $400,000: $360,000 reaches $312,000 in month 115
+    const result = calculateRentVsBuy({ homePrice: 400000, downPayment: 40000, interestRate: 7, mortgageTerm: 30 });
+    
+    assert.strictEqual(result.buying.pmiEndMonth, 115);
+    assert.ok(result.schedule[114].pmi > 0);
+    assert.strictEqual(result.schedule[115].pmi, 0);
+});
+
+test('with every rate and cost at zero, renting and buying break even from the start', () => {
+    const result = calculateRentVsBuy({
+        monthlyRent: 0, securityDeposit: 0, rentersInsurance: 0, brokerFee: 0, rentIncrease: 0,
+        downPayment: 100000, interestRate: 0, closingCosts: 0, propertyTaxRate: 0, homeInsurance: 0, hoaFees: 0,
+        additionalUtilities: 0, maintenanceRate: 0, sellingCosts: 0, homeAppreciation: 0, rentalIncome: 0,
+        investmentReturn: 0, capitalGainsTaxRate: 0, inflationRate: 0, marginalTaxRate: 0
+    });
+    
+    result.yearly.forEach(year => {
+        assert.ok(Math.abs(year.rentingWithInvestment) < 0.01);
+        assert.ok(Math.abs(year.buyingCostWithInvestment) < 0.01);
+    });
+    assert.ok(Math.abs(result.summary.savingsWithOpportunityCost) < 0.01);
+    assert.strictEqual(result.summary.breakEvenYear, 0);
+});
+
+test('the net worth gap matches the buying advantage in every year', () => {
+    [{}, { investmentMode: 'fixed', monthlyInvestmentAmount: 300 }, { realDollars: true }].forEach(inputs => {
+        const result = calculateRentVsBuy(inputs);
+        
+        result.netWorth.forEach((year, index) => {
+            const advantage = result.yearly[index].savingsWithOpportunityCost;
+            assert.ok(Math.abs(year.buyerNetWorth - year.renterNetWorth - advantage) < 0.01);
+        });
+    });
+});
+
+test('5/1 ARM steps up by the initial and periodic caps until the lifetime cap', () => {
+    const rates = buildRateSchedule(7, 30, {
+        loanType: '5/1',
+        indexRate: 10,
+        margin: 2.75,
+        initialCap: 2,
+        periodicCap: 2,
+        lifetimeCap: 5,
+        indexPath: 'flat'
+    });
+    
+    assert.deepStrictEqual([rates[59], rates[60], rates[72], rates[84], rates[359]], [7, 9, 11, 12, 12]);
+});
+
+test('a simulated return path compounds invested savings year by year, so the order of returns matters', () => {
+    const inputs = Object.assign({}, DEFAULT_INPUTS, { timeframe: 2, monthlyInvestmentAmount: 500 });
+    const goodYearFirst = runScenario(Object.assign({}, inputs, { investmentReturnPath: [30, -20] }));
+    const badYearFirst = runScenario(Object.assign({}, inputs, { investmentReturnPath: [-20, 30] }));
+    
+    assert.ok(badYearFirst.buyingResults.buyingPortfolio > goodYearFirst.buyingResults.buyingPortfolio);
+    // A lump sum ends up the same whichever way round the years come
+    assert.ok(Math.abs(goodYearFirst.buyingResults.downPaymentOpportunityCost - badYearFirst.buyingResults.downPaymentOpportunityCost) < 0.01);
+});
+
+test('simulation settings are only checked when a simulation is started', () => {
+    const fields = (inputs) => validateInputs(inputs).errors.map(error => error.field);
+    const simulation = { simulationRuns: 0, appreciationVolatility: -1, returnVolatility: 15, rentVolatility: 2, inflationVolatility: 1.5 };
+    
+    assert.deepStrictEqual(fields(DEFAULT_INPUTS), []);
+    assert.deepStrictEqual(fields(Object.assign({}, DEFAULT_INPUTS, simulation)), ['simulationRuns', 'appreciationVolatility']);
+    assert.deepStrictEqual(fields(Object.assign({}, DEFAULT_INPUTS, simulation, { simulationRuns: 1e9, appreciationVolatility: 5 })), ['simulationRuns']);
+});